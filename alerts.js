@@ -0,0 +1,205 @@
+// alerts.js
+// Periodic signal recompute with webhook alerts on state changes.
+// The last known state and any undelivered alerts are kept in a JSON file, so
+// a restart neither re-announces an old flip nor drops one still being sent.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const MAX_SENT_IDS = 100;
+const DEFAULT_RETRY = { attempts: 4, baseDelayMs: 2000 };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function stateOf(doc) {
+  return {
+    shortTerm: doc.shortTerm.signal,
+    midTerm: doc.midTerm.signal,
+    combined: doc.combined.status,
+  };
+}
+
+export function diffStates(before, after) {
+  if (!before) return [];
+  return Object.keys(after)
+    .filter((field) => before[field] !== after[field])
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+}
+
+// Same transition on the same data -> same id, which is what dedup keys on.
+function alertId(changes, doc) {
+  const basis = JSON.stringify([changes, doc.data.btc.lastPointAt, doc.data.fred.lastObservationDate]);
+  return crypto.createHash("sha1").update(basis).digest("hex").slice(0, 16);
+}
+
+function buildAlert(before, after, changes, doc) {
+  return {
+    id: alertId(changes, doc),
+    type: "signal_change",
+    at: new Date().toISOString(),
+    changes,
+    before,
+    after,
+    supporting: {
+      shortTerm: {
+        lastCross: doc.shortTerm.lastCross,
+        histogram: doc.shortTerm.histogram,
+        lastClose: doc.shortTerm.lastClose,
+        meta: doc.shortTerm.meta,
+      },
+      midTerm: {
+        liquidity: doc.midTerm.liquidity,
+        seriesId: doc.midTerm.seriesId,
+        latest: doc.midTerm.latest,
+        prior: doc.midTerm.prior,
+        deltaPp: doc.midTerm.deltaPp,
+      },
+      data: doc.data,
+    },
+    pending: null,
+  };
+}
+
+async function readState(file) {
+  try {
+    const state = JSON.parse(await fs.readFile(file, "utf8"));
+    return { last: state.last ?? null, outbox: state.outbox ?? [], sentIds: state.sentIds ?? [] };
+  } catch {
+    return { last: null, outbox: [], sentIds: [] };
+  }
+}
+
+async function writeState(file, state) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Webhook URLs carry their secret in the path or query, so logs name a hook
+// by host plus a short fingerprint of the full URL.
+function webhookLabel(url) {
+  const fingerprint = crypto.createHash("sha256").update(url).digest("hex").slice(0, 8);
+  let host = "invalid-url";
+  try {
+    host = new URL(url).host;
+  } catch {
+    // still identified by the fingerprint
+  }
+  return `${host}#${fingerprint}`;
+}
+
+async function postWithRetry(url, payload, { attempts, baseDelayMs }, log) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const r = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Alert-Id": payload.id },
+        body: JSON.stringify(payload),
+      });
+      if (r.ok) return true;
+      log.error(`Webhook ${webhookLabel(url)} answered HTTP ${r.status} (attempt ${attempt}/${attempts})`);
+    } catch (e) {
+      log.error(`Webhook ${webhookLabel(url)} failed: ${String(e?.message || e)} (attempt ${attempt}/${attempts})`);
+    }
+    if (attempt < attempts) await sleep(baseDelayMs * 2 ** (attempt - 1));
+  }
+  return false;
+}
+
+// computeDocument: async () => signal document (see signal.js).
+export function createAlertScheduler({
+  computeDocument,
+  webhooks,
+  stateFile,
+  intervalMs = 60 * 60 * 1000,
+  retry = DEFAULT_RETRY,
+  log = console,
+}) {
+  let timer = null;
+  let running = null;
+
+  // Sends every outbox alert to the URLs it has not reached yet. Alerts that
+  // still have pending URLs stay in the outbox for the next tick.
+  async function flush(state) {
+    const remaining = [];
+    for (const alert of state.outbox) {
+      if (state.sentIds.includes(alert.id)) continue;
+      // a retry only goes to the webhooks that have not taken the alert yet
+      const targets = alert.pending ?? webhooks;
+      const pending = [];
+      for (const url of targets) {
+        const { pending: _omit, ...payload } = alert;
+        if (!(await postWithRetry(url, payload, retry, log))) pending.push(url);
+      }
+      const delivered = `Alert ${alert.id} delivered to ${targets.length - pending.length}/${targets.length} webhook(s)`;
+      if (pending.length) {
+        remaining.push({ ...alert, pending });
+        log.info(`${delivered}; retrying the rest next tick`);
+      } else {
+        state.sentIds = [...state.sentIds, alert.id].slice(-MAX_SENT_IDS);
+        log.info(delivered);
+      }
+    }
+    state.outbox = remaining;
+    await writeState(stateFile, state);
+  }
+
+  // Never rejects: a failed recompute, send or state write is logged and the
+  // next tick tries again.
+  async function tick() {
+    const state = await readState(stateFile);
+    try {
+      const doc = await computeDocument();
+      const next = stateOf(doc);
+      const changes = diffStates(state.last, next);
+      if (changes.length) {
+        const alert = buildAlert(state.last, next, changes, doc);
+        const known = state.sentIds.includes(alert.id) || state.outbox.some((a) => a.id === alert.id);
+        if (!known) state.outbox.push(alert);
+        log.info(`Signal change: ${changes.map((c) => `${c.field} ${c.before} -> ${c.after}`).join(", ")}`);
+      }
+      state.last = next;
+      // persist the new state and outbox before sending, so a crash mid-send
+      // resumes delivery instead of recomputing or losing the alert
+      await writeState(stateFile, state);
+    } catch (e) {
+      log.error(`Alert recompute failed: ${String(e?.message || e)}`);
+    }
+    try {
+      if (state.outbox.length) await flush(state);
+    } catch (e) {
+      log.error(`Alert delivery failed: ${String(e?.message || e)}`);
+    }
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      running = tick();
+      try {
+        await running;
+      } catch (e) {
+        log.error(`Alert tick failed: ${String(e?.message || e)}`);
+      } finally {
+        running = null;
+        if (timer) schedule();
+      }
+    }, intervalMs);
+  }
+
+  return {
+    tick,
+    async start() {
+      running = tick();
+      await running;
+      running = null;
+      schedule();
+    },
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      await running;
+    },
+  };
+}
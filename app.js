@@ -1,11 +1,87 @@
 // app.js
 // Vanilla frontend logic for short-term BTC and mid-term M2 signals.
 
+import { blockingIssues, mergeReports, validateDailySeries, validateObservations } from "./validate.js";
+import { consoleSink, createLogger, redactSecrets, timed } from "./logger.js";
+import { retryBudgetMs } from "./upstream.js";
+
+export { redactSecrets };
+
 const FRED_SERIES_ID = "M2SL";
 const FRED_DIRECT_URL = "https://api.stlouisfed.org/fred/series/observations";
 
+// Indicator parameters. Pass a partial override as `strategy` to the init/compute
+// functions; anything omitted falls back to these values.
+//   macd.fast/slow/signal: EMA periods, counted in resampled candles
+//   interval:              "daily" | "weekly" | "monthly" candles for the MACD
+//   yoyLagMonths:          M2 rule compares latest YoY with YoY this many months earlier
+//   neutralBand.macdPct:   |histogram| below this % of price reads NEUTRAL (0 = always a call)
+//   neutralBand.yoyPp:     |YoY delta| below this many percentage points reads NEUTRAL (0 = always a call)
+//   indicators:            consensus-score weight per indicator id (0 leaves it out)
+export const DEFAULT_STRATEGY = Object.freeze({
+  macd: Object.freeze({ fast: 12, slow: 26, signal: 9 }),
+  interval: "monthly",
+  yoyLagMonths: 3,
+  neutralBand: Object.freeze({ macdPct: 0.25, yoyPp: 0.1 }),
+  indicators: Object.freeze({ macd: 2, rsi: 1, sma: 1, bollinger: 1, roc: 1 }),
+});
+
+const INTERVALS = ["daily", "weekly", "monthly"];
+
 // ---- shared utils ----
-function safeStringify(x) {
+export function resolveStrategy(overrides = {}) {
+  const o = overrides || {};
+  const strategy = {
+    macd: { ...DEFAULT_STRATEGY.macd, ...o.macd },
+    interval: o.interval ?? DEFAULT_STRATEGY.interval,
+    yoyLagMonths: o.yoyLagMonths ?? DEFAULT_STRATEGY.yoyLagMonths,
+    neutralBand: { ...DEFAULT_STRATEGY.neutralBand, ...o.neutralBand },
+    indicators: { ...DEFAULT_STRATEGY.indicators, ...o.indicators },
+  };
+
+  const { fast, slow, signal } = strategy.macd;
+  const periodsOk = [fast, slow, signal].every((n) => Number.isInteger(n) && n > 0) && fast < slow;
+  const lagOk = Number.isInteger(strategy.yoyLagMonths) && strategy.yoyLagMonths > 0;
+  const bandOk = Object.values(strategy.neutralBand).every((n) => Number.isFinite(n) && n >= 0);
+  const weightsOk = Object.entries(strategy.indicators).every(
+    ([id, w]) => DEFAULT_STRATEGY.indicators[id] !== undefined && Number.isFinite(w) && w >= 0
+  );
+  if (!periodsOk || !lagOk || !bandOk || !weightsOk || !INTERVALS.includes(strategy.interval)) {
+    throw makeAppError({
+      status: 400,
+      code: "BAD_STRATEGY",
+      message: "Invalid strategy parameters.",
+      details: { strategy },
+    });
+  }
+  return strategy;
+}
+
+export function describeShortTermStrategy(strategy) {
+  const { fast, slow, signal } = strategy.macd;
+  const band = strategy.neutralBand.macdPct ? `, ±${strategy.neutralBand.macdPct}% band` : "";
+  return `MACD ${fast}/${slow}/${signal}, ${strategy.interval}${band}`;
+}
+
+export function describeMidTermStrategy(strategy) {
+  const band = strategy.neutralBand.yoyPp ? `, ±${strategy.neutralBand.yoyPp}pp band` : "";
+  return `YoY vs ${strategy.yoyLagMonths}m prior${band}`;
+}
+
+// 0..1 conviction of a signal from its magnitude (histogram % of price, YoY
+// delta in pp): 0 on the zero line, 1 from three band-widths out. Without a
+// band every call is taken at full confidence, as before.
+export function confidenceFor(magnitude, band) {
+  if (!Number.isFinite(magnitude)) return null;
+  if (!(band > 0)) return 1;
+  return Math.min(1, Math.abs(magnitude) / (3 * band));
+}
+
+export function fmtConfidence(confidence) {
+  return Number.isFinite(confidence) ? `confidence ${Math.round(confidence * 100)}%` : "confidence -";
+}
+
+export function safeStringify(x) {
   try {
     return JSON.stringify(x);
   } catch {
@@ -13,14 +89,54 @@ function safeStringify(x) {
   }
 }
 
-function makeAppError({ status, code, message, details }) {
+export function makeAppError({ status, code, message, details }) {
   return { status, code, message, details: details ?? null };
 }
 
-function isAppError(x) {
+export function isAppError(x) {
   return x && typeof x === "object" && typeof x.code === "string" && typeof x.message === "string";
 }
 
+// Any thrown value as an app error; `code` and `message` describe the step
+// that failed when the value is not one already.
+export function toAppError(err, { code = "UNKNOWN_ERROR", message = "Unexpected error" } = {}) {
+  if (isAppError(err)) return err;
+  return makeAppError({
+    status: 0,
+    code,
+    message,
+    details: { raw: safeStringify(err), reason: redactSecrets(String(err?.message || err)) },
+  });
+}
+
+// Strict mode refuses to publish a signal on stale, gapped or broken data
+// (see validate.js); otherwise the report only rides along as `health`.
+export function assertHealthy(health, { strict = false, source = "data" } = {}) {
+  if (!strict) return;
+  const blocking = blockingIssues(health);
+  if (!blocking.length) return;
+  throw makeAppError({
+    status: 422,
+    code: "DATA_QUALITY",
+    message: `Strict mode: ${source} data failed validation (${[...new Set(blocking.map((i) => i.code))].join(", ")}).`,
+    details: { source, health },
+  });
+}
+
+function renderHealth(el, health) {
+  el.className = `health-badge health-${health?.status ?? "unknown"}`;
+  if (!health) {
+    el.textContent = "";
+    el.title = "";
+    return;
+  }
+  const count = health.issues.length;
+  el.textContent = health.status === "ok" ? "DATA OK" : `DATA ${health.status.toUpperCase()} (${count})`;
+  el.title = count
+    ? health.issues.map((i) => `${i.level}: ${i.series ? `${i.series} ` : ""}${i.message}`).join("\n")
+    : "No data-quality issues";
+}
+
 function anySignal(signals) {
   const ctrl = new AbortController();
   const onAbort = () => ctrl.abort();
@@ -32,7 +148,11 @@ function anySignal(signals) {
   return ctrl.signal;
 }
 
-async function httpGetJson(url, { timeoutMs = 12000, signal } = {}) {
+// The proxy retries a slow upstream before it answers, so a request through it
+// may take the whole retry budget; wait that out plus some slack.
+export const PROXY_TIMEOUT_MS = retryBudgetMs() + 4000;
+
+async function httpGetJson(url, { timeoutMs = PROXY_TIMEOUT_MS, signal } = {}) {
   const ctrl = new AbortController();
   const timer = setTimeout(() => ctrl.abort(), timeoutMs);
   const mergedSignal = signal ? anySignal([signal, ctrl.signal]) : ctrl.signal;
@@ -48,7 +168,7 @@ async function httpGetJson(url, { timeoutMs = 12000, signal } = {}) {
         status: res.status,
         code: "HTTP_NOT_OK",
         message: `HTTP ${res.status} from data source`,
-        details: { url },
+        details: { url: redactSecrets(url) },
       });
     }
     return await res.json();
@@ -58,7 +178,7 @@ async function httpGetJson(url, { timeoutMs = 12000, signal } = {}) {
       status: 0,
       code: "HTTP_FETCH_FAILED",
       message: "Network request failed (possible CORS or offline).",
-      details: { url, raw: safeStringify(err) },
+      details: { url: redactSecrets(url), raw: safeStringify(err) },
     });
   } finally {
     clearTimeout(timer);
@@ -69,7 +189,7 @@ async function httpGetJson(url, { timeoutMs = 12000, signal } = {}) {
 // SHORT TERM: BTC sentiment (MACD cross)
 // ============================================================
 
-function assertChartResponse(payload) {
+export function assertChartResponse(payload) {
   if (!payload || typeof payload !== "object") return false;
   if (payload.status !== "ok") return false;
   if (!Array.isArray(payload.values)) return false;
@@ -77,25 +197,42 @@ function assertChartResponse(payload) {
   return true;
 }
 
-function defaultBtcProxyUrl() {
-  if (typeof window === "undefined") return "http://localhost:8787/btc";
+// Same-origin proxy route when the page is served by proxy.js, otherwise the
+// default local proxy on :8787.
+export function defaultProxyRouteUrl(route) {
+  if (typeof window === "undefined") return `http://localhost:8787${route}`;
   const origin = window?.location?.origin;
   const host = window?.location?.hostname || "";
   const port = window?.location?.port || "";
-  if (!origin || origin === "null") return "http://localhost:8787/btc";
+  if (!origin || origin === "null") return `http://localhost:8787${route}`;
   const isLocalhost = host === "localhost" || host === "127.0.0.1";
-  if (isLocalhost && port && port !== "8787") return "http://localhost:8787/btc";
-  return `${origin}/btc`;
+  if (isLocalhost && port && port !== "8787") return `http://localhost:8787${route}`;
+  return `${origin}${route}`;
 }
 
-async function getBtcMarketPriceDaily({ timespan = "10years", sampled = false, signal, log } = {}) {
-  const base = defaultBtcProxyUrl();
+// BTC goes through /btc (blockchain.info market-price); any other asset
+// through the proxy's pluggable /prices sources. `start`/`end` (YYYY-MM-DD)
+// bound the series, e.g. end = the as-of day of a historical view.
+export async function getMarketPriceDaily({
+  asset = "BTC",
+  timespan = "10years",
+  sampled = false,
+  start,
+  end,
+  baseUrl,
+  signal,
+  log,
+} = {}) {
+  const base = baseUrl ?? defaultProxyRouteUrl(asset === "BTC" ? "/btc" : "/prices");
   const params = new URLSearchParams({
     timespan,
     format: "json",
     sampled: sampled ? "true" : "false",
     cors: "true",
   });
+  if (asset !== "BTC") params.set("asset", asset);
+  if (start) params.set("start", start);
+  if (end) params.set("end", end);
   const url = `${base}?${params.toString()}`;
 
   log?.info?.(`Fetching data from: ${url}`);
@@ -114,6 +251,27 @@ async function getBtcMarketPriceDaily({ timespan = "10years", sampled = false, s
   return json;
 }
 
+// Latest intraday quote from the proxy's /spot route: { price, at: unix seconds }.
+export async function getIntradayQuote({ asset = "BTC", baseUrl, signal, log } = {}) {
+  const url = `${baseUrl ?? defaultProxyRouteUrl("/spot")}?asset=${encodeURIComponent(asset)}`;
+  log?.info?.(`Fetching intraday quote from: ${url}`);
+  const json = await httpGetJson(url, { timeoutMs: 8000, signal });
+  if (json?.status !== "ok" || !Number.isFinite(json.price) || !Number.isFinite(json.at)) {
+    throw makeAppError({
+      status: 502,
+      code: "BAD_UPSTREAM_SHAPE",
+      message: "Intraday quote shape unexpected.",
+      details: { url },
+    });
+  }
+  return { price: json.price, at: json.at };
+}
+
+export async function fetchAssets({ signal } = {}) {
+  const json = await httpGetJson(defaultProxyRouteUrl("/assets"), { signal });
+  return Array.isArray(json?.assets) ? json.assets : [];
+}
+
 function toNumber(x) {
   const n = typeof x === "number" ? x : parseFloat(String(x));
   return Number.isFinite(n) ? n : NaN;
@@ -125,25 +283,63 @@ function monthKeyUTC(date) {
   return `${y}-${m}`;
 }
 
-function resampleToMonthEndCloses(dailySeries, log) {
-  const latestByMonth = new Map();
+export function dayKeyUTC(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Weeks end on Sunday (UTC); the key is that Sunday's date.
+function weekKeyUTC(date) {
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  end.setUTCDate(end.getUTCDate() + ((7 - end.getUTCDay()) % 7));
+  return dayKeyUTC(end);
+}
+
+// Keeps the latest close in each period. Candles are { period, close, at }.
+function resampleToPeriodCloses(dailySeries, keyFn) {
+  const latestByPeriod = new Map();
   for (const p of dailySeries) {
     const d = new Date(p.x * 1000);
-    const k = monthKeyUTC(d);
+    const k = keyFn(d);
     const price = toNumber(p.y);
     if (!Number.isFinite(price)) continue;
 
-    const existing = latestByMonth.get(k);
+    const existing = latestByPeriod.get(k);
     if (!existing || d > existing.at) {
-      latestByMonth.set(k, { month: k, close: price, at: d });
+      latestByPeriod.set(k, { period: k, close: price, at: d });
     }
   }
-  const sorted = Array.from(latestByMonth.values()).sort((a, b) => a.at - b.at);
+  return Array.from(latestByPeriod.values()).sort((a, b) => a.at - b.at);
+}
+
+export function resampleToMonthEndCloses(dailySeries, log) {
+  const sorted = resampleToPeriodCloses(dailySeries, monthKeyUTC);
   log?.info?.(`Resampled to ${sorted.length} monthly candles.`);
   return sorted;
 }
 
-function ema(values, period) {
+export function resampleToWeekEndCloses(dailySeries, log) {
+  const sorted = resampleToPeriodCloses(dailySeries, weekKeyUTC);
+  log?.info?.(`Resampled to ${sorted.length} weekly candles.`);
+  return sorted;
+}
+
+export function resampleToDailyCloses(dailySeries, log) {
+  const sorted = resampleToPeriodCloses(dailySeries, dayKeyUTC);
+  log?.info?.(`Resampled to ${sorted.length} daily candles.`);
+  return sorted;
+}
+
+const RESAMPLERS = {
+  daily: resampleToDailyCloses,
+  weekly: resampleToWeekEndCloses,
+  monthly: resampleToMonthEndCloses,
+};
+
+export function resampleCloses(dailySeries, interval, log) {
+  return RESAMPLERS[interval](dailySeries, log);
+}
+
+export function ema(values, period) {
   const out = new Array(values.length).fill(null);
   if (period <= 0) return out;
   const k = 2 / (period + 1);
@@ -183,18 +379,30 @@ function ema(values, period) {
   return out;
 }
 
-function macdSeries(closes) {
-  const ema12 = ema(closes, 12);
-  const ema26 = ema(closes, 26);
+// Every leg of the MACD, aligned with `closes` (null until warmed up); used by
+// the CSV/JSON export.
+export function macdBreakdown(closes, params = DEFAULT_STRATEGY.macd) {
+  const emaFast = ema(closes, params.fast);
+  const emaSlow = ema(closes, params.slow);
+  const { macd, signal } = macdSeries(closes, params);
+  const histogram = macd.map((m, i) => (m == null || signal[i] == null ? null : m - signal[i]));
+  return { emaFast, emaSlow, macd, signal, histogram };
+}
+
+export function macdSeries(closes, { fast = 12, slow = 26, signal: signalPeriod = 9 } = {}) {
+  const emaFast = ema(closes, fast);
+  const emaSlow = ema(closes, slow);
   const macd = closes.map((_, i) =>
-    ema12[i] == null || ema26[i] == null ? null : ema12[i] - ema26[i]
+    emaFast[i] == null || emaSlow[i] == null ? null : emaFast[i] - emaSlow[i]
   );
-  const signal = ema(macd, 9);
+  const signal = ema(macd, signalPeriod);
   return { macd, signal };
 }
 
-function lastMacdCross({ macd, signal, months }) {
-  let last = { dir: "none", atISO: null, idx: -1 };
+// Every cross, oldest first, with the close of the candle it completed on:
+// [{ dir, atISO, idx, price }].
+export function macdCrosses({ macd, signal, candles }) {
+  const crosses = [];
 
   for (let i = 1; i < macd.length; i++) {
     if (macd[i] == null || signal[i] == null || macd[i - 1] == null || signal[i - 1] == null) continue;
@@ -206,44 +414,353 @@ function lastMacdCross({ macd, signal, months }) {
     const down = prev >= 0 && curr < 0;
 
     if (up || down) {
-      last = { dir: up ? "up" : "down", atISO: months[i]?.month ?? null, idx: i };
+      crosses.push({ dir: up ? "up" : "down", atISO: candles[i]?.period ?? null, idx: i, price: candles[i]?.close ?? null });
     }
   }
-  return last;
+  return crosses;
+}
+
+export function lastMacdCross(series) {
+  const last = macdCrosses(series).at(-1);
+  return last ? { dir: last.dir, atISO: last.atISO, idx: last.idx } : { dir: "none", atISO: null, idx: -1 };
+}
+
+// Pure short-term rule: state follows the last MACD/signal cross, falling back
+// to the sign of the histogram on the last bar when no cross exists yet. A
+// histogram inside the neutral band (as % of the last close) reads neutral.
+export function shortTermSignalFromCandles(candles, strategy = DEFAULT_STRATEGY) {
+  const closes = candles.map((c) => c.close);
+  const { macd, signal: sig } = macdSeries(closes, strategy.macd);
+  const cross = lastMacdCross({ macd, signal: sig, candles });
+
+  const i = closes.length - 1;
+  const histogram = macd[i] != null && sig[i] != null ? macd[i] - sig[i] : null;
+
+  let state = "loading";
+  if (cross.dir === "down") state = "bearish";
+  else if (cross.dir === "up") state = "bullish";
+  else if (histogram != null) state = histogram >= 0 ? "bullish" : "bearish";
+
+  const bandPct = strategy.neutralBand.macdPct;
+  const histogramPct = histogram != null ? (histogram / closes[i]) * 100 : null;
+  if (state !== "loading" && bandPct > 0 && Math.abs(histogramPct) < bandPct) {
+    state = "neutral";
+  }
+  const confidence = state === "loading" ? null : confidenceFor(histogramPct, bandPct);
+
+  return { state, confidence, cross, histogram, closes, macd, signal: sig };
+}
+
+// ---- indicator registry ----
+
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Wilder's smoothing with factor 1/period is an EMA over 2*period-1 values.
+function rsiSeries(closes, period) {
+  const gains = closes.map((c, i) => (i === 0 ? null : Math.max(0, c - closes[i - 1])));
+  const losses = closes.map((c, i) => (i === 0 ? null : Math.max(0, closes[i - 1] - c)));
+  const avgGain = ema(gains, 2 * period - 1);
+  const avgLoss = ema(losses, 2 * period - 1);
+  return closes.map((_, i) => {
+    if (avgGain[i] == null || avgLoss[i] == null) return null;
+    if (avgLoss[i] === 0) return 100;
+    return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+}
+
+function lastOf(values) {
+  const v = values[values.length - 1];
+  return v == null || !Number.isFinite(v) ? null : v;
+}
+
+const DAYS_PER_CANDLE = { daily: 1, weekly: 7, monthly: 365.25 / 12 };
+
+const sign = (x) => (x > 0 ? 1 : x < 0 ? -1 : 0);
+
+// Each indicator reads the candles and returns { vote: 1 | 0 | -1, value },
+// or null when there are too few candles for an opinion. Votes are trend
+// votes: price momentum up is +1, down is -1.
+const INDICATORS = {
+  macd: {
+    label: "MACD cross",
+    evaluate: (candles, strategy) => {
+      const { state, histogram } = shortTermSignalFromCandles(candles, strategy);
+      if (state === "loading") return null;
+      return { vote: state === "bullish" ? 1 : state === "bearish" ? -1 : 0, value: histogram };
+    },
+  },
+  rsi: {
+    label: "RSI 14",
+    evaluate: (candles) => {
+      const value = lastOf(rsiSeries(candles.map((c) => c.close), 14));
+      return value == null ? null : { vote: sign(value - 50), value };
+    },
+  },
+  sma: {
+    label: "SMA 50/200 days",
+    // the windows are calendar days, converted to candles of the interval
+    // (2/7 monthly, 7/29 weekly) so ten years of monthly candles still vote
+    evaluate: (candles, strategy) => {
+      const closes = candles.map((c) => c.close);
+      const perCandle = DAYS_PER_CANDLE[strategy.interval];
+      const fast = lastOf(sma(closes, Math.round(50 / perCandle)));
+      const slow = lastOf(sma(closes, Math.round(200 / perCandle)));
+      if (fast == null || slow == null) return null;
+      return { vote: sign(fast - slow), value: (fast / slow - 1) * 100 };
+    },
+  },
+  bollinger: {
+    label: "Bollinger %B",
+    evaluate: (candles) => {
+      const closes = candles.slice(-20).map((c) => c.close);
+      if (closes.length < 20) return null;
+      const mean = closes.reduce((acc, v) => acc + v, 0) / closes.length;
+      const sd = Math.sqrt(closes.reduce((acc, v) => acc + (v - mean) ** 2, 0) / closes.length);
+      if (sd === 0) return { vote: 0, value: 0.5 };
+      const value = (closes[closes.length - 1] - (mean - 2 * sd)) / (4 * sd);
+      return { vote: sign(value - 0.5), value };
+    },
+  },
+  roc: {
+    label: "ROC 12",
+    evaluate: (candles) => {
+      if (candles.length < 13) return null;
+      const value = (candles[candles.length - 1].close / candles[candles.length - 13].close - 1) * 100;
+      return { vote: sign(value), value };
+    },
+  },
+};
+
+// Weighted vote over the registry, scaled to -100..+100. Indicators without
+// an opinion (too little data) drop out of both the sum and the total weight;
+// the score is null when no weighted indicator has one.
+export function consensusFromCandles(candles, strategy = DEFAULT_STRATEGY) {
+  let total = 0;
+  let weighted = 0;
+  const votes = Object.entries(INDICATORS).map(([id, indicator]) => {
+    const weight = strategy.indicators[id] ?? 0;
+    const r = indicator.evaluate(candles, strategy);
+    if (r && weight > 0) {
+      total += weight;
+      weighted += weight * r.vote;
+    }
+    return { id, label: indicator.label, weight, vote: r ? r.vote : null, value: r ? r.value : null };
+  });
+  return { score: total > 0 ? Math.round((weighted / total) * 100) : null, votes };
 }
 
-async function computeShortTermSentiment({ timespan = "10years", signal, log } = {}) {
-  const raw = await getBtcMarketPriceDaily({ timespan, sampled: false, signal, log });
-  const months = resampleToMonthEndCloses(raw.values, log);
+const TIMEFRAMES = [
+  { interval: "daily", label: "D" },
+  { interval: "weekly", label: "W" },
+  { interval: "monthly", label: "M" },
+];
 
-  if (months.length < 40) {
+function minCandlesFor(strategy) {
+  return Math.max(40, strategy.macd.slow + strategy.macd.signal);
+}
+
+// Runs the same MACD-cross rule on daily, weekly and monthly candles so the
+// faster timeframes can be watched turning before the slower ones.
+export function shortTermTimeframes(dailySeries, strategy = DEFAULT_STRATEGY, log) {
+  return TIMEFRAMES.map(({ interval, label }) => {
+    const candles = resampleCloses(dailySeries, interval, log);
+    if (candles.length < minCandlesFor(strategy)) {
+      return { interval, label, signal: "loading", cross: null, candles: candles.length };
+    }
+    const { state, confidence, cross, histogram } = shortTermSignalFromCandles(candles, strategy);
+    return { interval, label, signal: state, confidence, cross, histogram, candles: candles.length };
+  });
+}
+
+// Folds an intraday quote ({ price, at: unix seconds }) into the daily series:
+// it replaces the point of the same UTC day or becomes a new last day. Quotes
+// older than the last daily point are ignored.
+export function withIntradayPoint(dailySeries, quote) {
+  if (!quote || !Number.isFinite(quote.price) || !Number.isFinite(quote.at)) return dailySeries;
+  const last = dailySeries[dailySeries.length - 1];
+  if (last && Number(last.x) > quote.at) return dailySeries;
+  const point = { x: quote.at, y: quote.price };
+  const sameDay = last && dayKeyUTC(new Date(Number(last.x) * 1000)) === dayKeyUTC(new Date(quote.at * 1000));
+  return sameDay ? [...dailySeries.slice(0, -1), point] : [...dailySeries, point];
+}
+
+// Early warning before the candle closes. `confirmed` runs the rule on closed
+// candles only; the provisional state prices the in-progress candle at the
+// intraday quote. `forming` is the direction of a cross that exists only on
+// the in-progress candle, i.e. one that the close could still confirm or undo.
+export function provisionalShortTerm(dailySeries, quote, strategy = DEFAULT_STRATEGY) {
+  const live = resampleCloses(withIntradayPoint(dailySeries, quote), strategy.interval);
+  if (live.length < minCandlesFor(strategy) + 1) return null;
+
+  const closed = live.slice(0, -1);
+  const confirmed = shortTermSignalFromCandles(closed, strategy);
+  const provisional = shortTermSignalFromCandles(live, strategy);
+  const forming = provisional.cross.idx === live.length - 1 ? provisional.cross.dir : null;
+
+  return {
+    price: quote.price,
+    at: new Date(quote.at * 1000).toISOString(),
+    period: live[live.length - 1].period,
+    signal: provisional.state,
+    histogram: provisional.histogram,
+    cross: provisional.cross,
+    forming,
+    confirmed: { signal: confirmed.state, cross: confirmed.cross },
+  };
+}
+
+// Pure: daily chart points ({ x: unix seconds, y: price }) -> short-term result.
+export function shortTermResultFromDaily(dailySeries, strategy = DEFAULT_STRATEGY, log) {
+  const candles = resampleCloses(dailySeries, strategy.interval, log);
+
+  const minCandles = minCandlesFor(strategy);
+  if (candles.length < minCandles) {
     throw makeAppError({
       status: 422,
       code: "NOT_ENOUGH_DATA",
-      message: "Not enough monthly points.",
-      details: { months: months.length },
+      message: `Not enough ${strategy.interval} points.`,
+      details: { candles: candles.length, required: minCandles },
     });
   }
 
-  const closes = months.map((m) => m.close);
-  const { macd, signal: sig } = macdSeries(closes);
-
-  const cross = lastMacdCross({ macd, signal: sig, months });
+  const { state, confidence, cross, histogram, closes, macd, signal: sig } = shortTermSignalFromCandles(candles, strategy);
   log?.info?.("Last MACD Cross detected:", cross);
+  const lastPoint = dailySeries[dailySeries.length - 1];
+  return {
+    signal: state,
+    confidence,
+    cross,
+    histogram,
+    lastClose: candles[candles.length - 1].close,
+    series: { periods: candles.map((c) => c.period), closes, macd, signal: sig },
+    timeframes: shortTermTimeframes(dailySeries, strategy),
+    consensus: consensusFromCandles(candles, strategy),
+    history: shortTermHistory(candles, strategy),
+    // month-end closes, for pricing the mid-term regimes
+    monthEndCloses: resampleToMonthEndCloses(dailySeries).map(({ period, close }) => ({ period, close })),
+    dataAsOf: dayKeyUTC(new Date(Number(lastPoint.x) * 1000)),
+    strategy,
+    meta: describeShortTermStrategy(strategy),
+  };
+}
 
-  if (cross.dir === "down") return "bearish";
-  if (cross.dir === "up") return "bullish";
+async function computeShortTermSentiment({
+  asset = "BTC",
+  timespan = "10years",
+  strategy = DEFAULT_STRATEGY,
+  intraday = false,
+  strict = false,
+  asOf = null,
+  signal,
+  log,
+} = {}) {
+  const raw = await timed(log, `fetch ${asset} daily`, () =>
+    getMarketPriceDaily({ asset, timespan, sampled: false, end: asOf || undefined, signal, log })
+  );
+  // the proxy already bounds the range; truncating again covers sources that ignore `end`
+  const values = asOf ? dailySeriesAsOf(raw.values, asOf) : raw.values;
+  const health = validateDailySeries(values, { now: asOfNow(asOf) });
+  if (health.issues.length) log?.info?.("Data-quality issues:", health.issues);
+  assertHealthy(health, { strict, source: asset });
+  const computed = await timed(log, "compute short-term", () => shortTermResultFromDaily(values, strategy, log));
+  const result = { ...computed, asset, asOf, health, provisional: null };
+  // a historical view has no in-progress candle
+  if (!intraday || asOf) return result;
+
+  // the intraday quote is optional: without it the card shows daily data only
+  try {
+    const quote = await timed(log, "fetch intraday quote", () => getIntradayQuote({ asset, signal, log }));
+    result.provisional = provisionalShortTerm(values, quote, strategy);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    log?.warn?.("Intraday quote unavailable:", toAppError(err));
+  }
+  return result;
+}
 
-  const i = closes.length - 1;
-  if (macd[i] != null && sig[i] != null) {
-    return macd[i] - sig[i] >= 0 ? "bullish" : "bearish";
+function renderConsensus(el, consensus) {
+  const fmt = (v) => (v == null ? "-" : Math.abs(v) >= 100 ? Math.round(v).toString() : v.toFixed(2));
+  const voteState = (vote) => (vote == null ? "loading" : vote > 0 ? "bullish" : vote < 0 ? "bearish" : "neutral");
+
+  const head = document.createElement("div");
+  head.className = `timeframe-row state-${voteState(consensus.score == null ? null : sign(consensus.score))}`;
+  const title = document.createElement("span");
+  title.className = "timeframe-label";
+  title.textContent = "Σ";
+  const score = document.createElement("span");
+  score.className = "timeframe-state";
+  score.textContent = consensus.score == null ? "N/A" : `${consensus.score > 0 ? "+" : ""}${consensus.score}`;
+  const caption = document.createElement("span");
+  caption.className = "timeframe-cross";
+  caption.textContent = "consensus score (-100..+100)";
+  head.append(title, score, caption);
+
+  const rows = consensus.votes.map((v) => {
+    const row = document.createElement("div");
+    row.className = `timeframe-row state-${voteState(v.vote)}`;
+    const label = document.createElement("span");
+    label.className = "timeframe-label";
+    label.textContent = `×${v.weight}`;
+    const state = document.createElement("span");
+    state.className = "timeframe-state";
+    state.textContent = v.vote == null ? "N/A" : voteState(v.vote).toUpperCase();
+    const detail = document.createElement("span");
+    detail.className = "timeframe-cross";
+    detail.textContent = `${v.label} ${fmt(v.value)}`;
+    row.append(label, state, detail);
+    return row;
+  });
+  el.replaceChildren(head, ...rows);
+}
+
+function renderProvisional(el, provisional) {
+  el.classList.toggle("provisional-forming", Boolean(provisional?.forming));
+  if (!provisional) {
+    el.textContent = "";
+    return;
   }
+  const price = `$${Math.round(provisional.price).toLocaleString("en-US")}`;
+  const cross = provisional.forming
+    ? `cross ${provisional.forming} forming in ${provisional.period}`
+    : `no cross forming in ${provisional.period}`;
+  el.textContent = `Live ${price} · provisional ${provisional.signal.toUpperCase()} · ${cross}`;
+}
+
+function renderTimeframes(el, timeframes) {
+  const rows = timeframes.map((tf) => {
+    const row = document.createElement("div");
+    row.className = `timeframe-row state-${tf.signal}`;
+
+    const label = document.createElement("span");
+    label.className = "timeframe-label";
+    label.textContent = tf.label;
+
+    const state = document.createElement("span");
+    state.className = "timeframe-state";
+    state.textContent = tf.signal === "loading" ? "N/A" : tf.signal.toUpperCase();
+
+    const cross = document.createElement("span");
+    cross.className = "timeframe-cross";
+    cross.textContent =
+      tf.cross && tf.cross.dir !== "none" ? `cross ${tf.cross.dir} ${tf.cross.atISO}` : "no cross";
 
-  return "loading";
+    row.append(label, state, cross);
+    return row;
+  });
+  el.replaceChildren(...rows);
 }
 
 function setShortTermSentiment(ui, state) {
-  ui.container.classList.remove("state-bullish", "state-bearish", "state-loading", "state-error");
+  ui.container.classList.remove("state-bullish", "state-bearish", "state-neutral", "state-loading", "state-error");
 
   if (state === "bullish") {
     ui.container.classList.add("state-bullish");
@@ -257,6 +774,12 @@ function setShortTermSentiment(ui, state) {
     ui.status.style.backgroundColor = "var(--signal-bear)";
     return;
   }
+  if (state === "neutral") {
+    ui.container.classList.add("state-neutral");
+    ui.text.textContent = "NEUTRAL";
+    ui.status.style.backgroundColor = "var(--signal-neutral)";
+    return;
+  }
   if (state === "error") {
     ui.container.classList.add("state-error");
     ui.text.textContent = "ERROR";
@@ -269,40 +792,71 @@ function setShortTermSentiment(ui, state) {
   ui.status.style.backgroundColor = "var(--text-muted)";
 }
 
-export async function initShortTermSentiment({ container, text, status, note, onResult, onError }) {
-  const log = {
-    info: (msg, data) => console.log(`[BTC-Logic] ${msg}`, data ?? ""),
-    error: (msg, data) => console.error(`[BTC-Logic] ${msg}`, data ?? ""),
-  };
-
+export async function initShortTermSentiment({
+  container,
+  text,
+  status,
+  note,
+  timeframes,
+  asset = "BTC",
+  strategy,
+  intraday = false,
+  strict = false,
+  asOf = null,
+  provisional,
+  consensus,
+  health,
+  signal,
+  background = false,
+  log = createLogger({ tag: "BTC-Logic" }),
+  onResult,
+  onError,
+}) {
   const ui = { container, text, status };
 
   log.info("App starting...");
-  setShortTermSentiment(ui, "loading");
+  // a background refresh keeps the last verdict on screen until the new one lands
+  if (!background) setShortTermSentiment(ui, "loading");
 
   const abort = new AbortController();
+  // A caller-supplied signal lets a newer run (e.g. another asset) cancel this one.
+  const merged = signal ? anySignal([signal, abort.signal]) : abort.signal;
 
   try {
-    const result = await computeShortTermSentiment({ timespan: "10years", signal: abort.signal, log });
-    log.info("Final Computed Sentiment:", result);
-
-    if (result === "bullish" || result === "bearish") {
-      setShortTermSentiment(ui, result);
+    const active = resolveStrategy(strategy);
+    const result = await computeShortTermSentiment({
+      asset,
+      timespan: "10years",
+      strategy: active,
+      intraday,
+      strict,
+      asOf,
+      signal: merged,
+      log,
+    });
+    if (merged.aborted) return;
+    log.info("Final Computed Sentiment:", { signal: result.signal, confidence: result.confidence, dataAsOf: result.dataAsOf });
+
+    if (result.signal === "bullish" || result.signal === "bearish" || result.signal === "neutral") {
+      setShortTermSentiment(ui, result.signal);
+      if (note) note.textContent = `Based on MACD momentum (${result.meta}) · ${fmtConfidence(result.confidence)}`;
+      if (timeframes) renderTimeframes(timeframes, result.timeframes);
+      if (consensus) renderConsensus(consensus, result.consensus);
+      if (provisional) renderProvisional(provisional, result.provisional);
+      if (health) renderHealth(health, result.health);
       onResult?.(result);
     } else {
       setShortTermSentiment(ui, "loading");
     }
   } catch (err) {
-    const normalized = isAppError(err)
-      ? err
-      : makeAppError({
-          status: 0,
-          code: "UNKNOWN_ERROR",
-          message: "Unexpected error",
-          details: { raw: safeStringify(err) },
-        });
+    if (merged.aborted) return;
+    const normalized = toAppError(err);
     log.error("Error during computation:", normalized);
-    if (note) note.textContent = "Short-term data fetch failed. See console.";
+    const refused = normalized.code === "DATA_QUALITY";
+    if (note) {
+      note.textContent = refused ? normalized.message : `Short-term data fetch failed: ${normalized.message} (${normalized.code})`;
+    }
+    if (health) renderHealth(health, refused ? normalized.details.health : null);
     setShortTermSentiment(ui, "error");
     onError?.(normalized);
   }
@@ -316,7 +870,7 @@ function monthKey(dateStr) {
   return dateStr.slice(0, 7);
 }
 
-function addMonthsKey(yyyyMm, delta) {
+export function addMonthsKey(yyyyMm, delta) {
   const [y, m] = yyyyMm.split("-").map(Number);
   const d = new Date(Date.UTC(y, m - 1, 1));
   d.setUTCMonth(d.getUTCMonth() + delta);
@@ -325,15 +879,49 @@ function addMonthsKey(yyyyMm, delta) {
   return `${yy}-${mm}`;
 }
 
-function defaultProxyUrl() {
-  if (typeof window === "undefined") return "http://localhost:8787/fred";
-  const origin = window?.location?.origin;
-  const host = window?.location?.hostname || "";
-  const port = window?.location?.port || "";
-  if (!origin || origin === "null") return "http://localhost:8787/fred";
-  const isLocalhost = host === "localhost" || host === "127.0.0.1";
-  if (isLocalhost && port && port !== "8787") return "http://localhost:8787/fred";
-  return `${origin}/fred`;
+function addWeeksKey(yyyyMmDd, delta) {
+  const d = new Date(`${yyyyMmDd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + delta * 7);
+  return dayKeyUTC(d);
+}
+
+// Period calendars for level series. Monthly keys are YYYY-MM; weekly keys
+// are the YYYY-MM-DD of the week-ending Sunday (same as the BTC resampler).
+//   key:      observation date -> period key
+//   back:     period key -> key `months` months earlier
+//   step:     period key -> previous period key
+//   maxSteps: how far findKeyAtOrBefore walks back over gaps
+const CALENDARS = {
+  monthly: {
+    key: (dateStr) => monthKey(dateStr),
+    back: (k, months) => addMonthsKey(k, -months),
+    step: (k) => addMonthsKey(k, -1),
+    maxSteps: 12,
+  },
+  weekly: {
+    key: (dateStr) => weekKeyUTC(new Date(`${dateStr}T00:00:00Z`)),
+    back: (k, months) => addWeeksKey(k, -Math.round((months * 52) / 12)),
+    step: (k) => addWeeksKey(k, -1),
+    maxSteps: 8,
+  },
+};
+
+// Combined verdict behind the header status dot: both horizons agree, they
+// disagree, at least one sits inside its neutral band, only the short term is
+// known yet, or nothing is known. "off" marks a card the dashboard hides: the
+// other horizon then decides alone.
+export function combinedStatus(shortState, midState) {
+  const isCall = (s) => s === "bullish" || s === "bearish";
+  const isKnown = (s) => isCall(s) || s === "neutral";
+  if (isKnown(shortState) && isKnown(midState)) {
+    if (!isCall(shortState) || !isCall(midState)) return { status: "neutral", signal: "neutral" };
+    return shortState === midState
+      ? { status: "agree", signal: shortState }
+      : { status: "disagree", signal: null };
+  }
+  if (isKnown(shortState)) return { status: "short-only", signal: shortState };
+  if (shortState === "off" && isKnown(midState)) return { status: "mid-only", signal: midState };
+  return { status: "pending", signal: null };
 }
 
 function isLocalOriginProxy(url) {
@@ -347,46 +935,120 @@ function isLocalOriginProxy(url) {
   }
 }
 
-function fmtPct(x) {
+export function fmtPct(x) {
   return Number.isFinite(x) ? `${x.toFixed(2)}%` : "-";
 }
 
-function computeYoYFromMonthlyLevels(monthToValue) {
-  const months = Array.from(monthToValue.keys()).sort();
+function computeYoYFromLevels(levels, calendar = "monthly") {
+  const cal = CALENDARS[calendar];
+  const keys = Array.from(levels.keys()).sort();
   const yoy = new Map();
-  for (const mk of months) {
-    const mk12 = addMonthsKey(mk, -12);
-    if (!monthToValue.has(mk12)) continue;
-    const v = monthToValue.get(mk);
-    const v12 = monthToValue.get(mk12);
+  for (const k of keys) {
+    const k12 = cal.back(k, 12);
+    if (!levels.has(k12)) continue;
+    const v = levels.get(k);
+    const v12 = levels.get(k12);
     if (!(Number.isFinite(v) && Number.isFinite(v12) && v12 !== 0)) continue;
-    yoy.set(mk, (v / v12 - 1) * 100);
+    yoy.set(k, (v / v12 - 1) * 100);
   }
   return yoy;
 }
 
-function findMonthAtOrBefore(sortedMonths, targetMonth) {
-  const set = new Set(sortedMonths);
-  if (set.has(targetMonth)) return targetMonth;
-  let cur = targetMonth;
-  for (let i = 0; i < 12; i++) {
-    cur = addMonthsKey(cur, -1);
+export function computeYoYFromMonthlyLevels(monthToValue) {
+  return computeYoYFromLevels(monthToValue, "monthly");
+}
+
+function findKeyAtOrBefore(sortedKeys, target, calendar = "monthly") {
+  const cal = CALENDARS[calendar];
+  const set = new Set(sortedKeys);
+  if (set.has(target)) return target;
+  let cur = target;
+  for (let i = 0; i < cal.maxSteps; i++) {
+    cur = cal.step(cur);
     if (set.has(cur)) return cur;
   }
   return null;
 }
 
-function buildFredUrl({ proxyUrl, apiKey, seriesId }) {
+export function findMonthAtOrBefore(sortedMonths, targetMonth) {
+  return findKeyAtOrBefore(sortedMonths, targetMonth, "monthly");
+}
+
+// Pure mid-term rule: bullish when the latest YoY growth is above the YoY
+// growth `yoyLagMonths` earlier (3 by default). A delta inside the neutral
+// band reads neutral. `latestMk`/`priorMk` are period keys of the calendar.
+export function midTermSignalFromLevels(monthly, strategy = DEFAULT_STRATEGY, calendar = "monthly") {
+  const lag = strategy.yoyLagMonths;
+  const yoy = computeYoYFromLevels(monthly, calendar);
+  const yoyMonths = Array.from(yoy.keys()).sort();
+  if (yoyMonths.length < 6) throw new Error("Too few YoY points (need >= 12 months of levels).");
+
+  const latestMk = yoyMonths[yoyMonths.length - 1];
+  const latestYoy = yoy.get(latestMk);
+
+  const targetMk = CALENDARS[calendar].back(latestMk, lag);
+  const priorMk = findKeyAtOrBefore(yoyMonths, targetMk, calendar);
+  if (!priorMk) throw new Error(`Could not find prior month near ${lag} months ago.`);
+  const priorYoy = yoy.get(priorMk);
+
+  const deltaValue = latestYoy - priorYoy;
+  let signal = deltaValue > 0 ? "bullish" : "bearish";
+  if (Math.abs(deltaValue) < strategy.neutralBand.yoyPp) signal = "neutral";
+
+  return {
+    signal,
+    confidence: confidenceFor(deltaValue, strategy.neutralBand.yoyPp),
+    latestMk,
+    latestYoy,
+    priorMk,
+    priorYoy,
+    deltaValue,
+    yoySeries: yoyMonths.map((mk) => ({ month: mk, yoy: yoy.get(mk) })),
+  };
+}
+
+// Which release of the data to read. "latest" is FRED's revised series;
+// "first" is every observation's initial release (ALFRED output_type=4);
+// a YYYY-MM-DD day is the series exactly as published on that day.
+export const VINTAGES = ["latest", "first"];
+
+export function vintageParams(vintage = "latest") {
+  if (!vintage || vintage === "latest") return {};
+  if (vintage === "first") return { realtime_start: "1776-07-04", realtime_end: "9999-12-31", output_type: "4" };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(vintage) && !Number.isNaN(Date.parse(vintage))) {
+    return { realtime_start: vintage, realtime_end: vintage };
+  }
+  throw makeAppError({
+    status: 400,
+    code: "BAD_VINTAGE",
+    message: "Vintage must be latest, first or a YYYY-MM-DD day.",
+    details: { vintage },
+  });
+}
+
+// The release an as-of view reads: the series as published on the as-of day,
+// so months released later and later revisions stay out. An explicit vintage
+// day on or before it is kept.
+export function vintageAsOf(vintage = "latest", asOf = null) {
+  vintageParams(vintage);
+  if (!asOf) return vintage;
+  return /^\d{4}-\d{2}-\d{2}$/.test(vintage ?? "") && vintage <= asOf ? vintage : asOf;
+}
+
+function buildFredUrl({ proxyUrl, apiKey, seriesId, vintage, end }) {
   const target = proxyUrl || FRED_DIRECT_URL;
   const base = typeof window !== "undefined" ? window.location.origin : "http://localhost";
   const u = new URL(target, base);
   u.searchParams.set("series_id", seriesId);
+  for (const [k, v] of Object.entries(vintageParams(vintage))) u.searchParams.set(k, v);
+  if (end) u.searchParams.set("observation_end", end);
   if (apiKey) u.searchParams.set("api_key", apiKey);
   if (!proxyUrl) u.searchParams.set("file_type", "json");
   return u;
 }
 
-async function fetchObservations({ proxyUrl, apiKey, seriesId, log }) {
+// `end` (YYYY-MM-DD) maps to FRED's observation_end.
+export async function fetchObservations({ proxyUrl, apiKey, seriesId, vintage, end, signal, log }) {
   if (!proxyUrl && !apiKey) {
     throw makeAppError({
       status: 400,
@@ -394,35 +1056,410 @@ async function fetchObservations({ proxyUrl, apiKey, seriesId, log }) {
       message: "Missing proxy URL or API key.",
     });
   }
-  const u = buildFredUrl({ proxyUrl, apiKey, seriesId });
-  log?.(`GET ${u.toString()}`);
-  const json = await httpGetJson(u.toString(), { timeoutMs: 12000 });
+  const u = buildFredUrl({ proxyUrl, apiKey, seriesId, vintage, end });
+  log?.(`GET ${redactSecrets(u.toString())}`);
+  const json = await httpGetJson(u.toString(), { signal });
   if (!json.observations || !Array.isArray(json.observations)) {
     throw makeAppError({
       status: 502,
       code: "BAD_UPSTREAM_SHAPE",
       message: "Unexpected payload shape (missing observations).",
-      details: { url: u.toString() },
+      details: { url: redactSecrets(u.toString()) },
     });
   }
   return json.observations;
 }
 
-function parseMonthlyLevels(observations) {
-  const map = new Map();
+// "As of" truncation: keep only what was dated on or before the given day.
+export function dailySeriesAsOf(dailySeries, asOfISO) {
+  const cutoff = Date.parse(`${asOfISO}T23:59:59Z`) / 1000;
+  return dailySeries.filter((p) => Number(p.x) <= cutoff);
+}
+
+export function observationsAsOf(observations, asOfISO) {
+  return observations.filter((o) => String(o.date || "") <= asOfISO);
+}
+
+// The clock data-quality checks run against: the end of the as-of day, or now.
+function asOfNow(asOfISO) {
+  return asOfISO ? Date.parse(`${asOfISO}T23:59:59Z`) : Date.now();
+}
+
+// How the observations that fall inside one period become its level. FRED's
+// own frequency conversion defaults to the average, and so does parseLevels;
+// for a series already at the calendar's frequency all three agree.
+const AGGREGATIONS = {
+  eop: (values) => values[values.length - 1],
+  avg: (values) => values.reduce((acc, v) => acc + v, 0) / values.length,
+  sum: (values) => values.reduce((acc, v) => acc + v, 0),
+};
+
+export const AGGREGATION_METHODS = Object.keys(AGGREGATIONS);
+
+// A real-time window can return several vintages of the same date; keep the
+// newest one, i.e. the value as known at the end of the window.
+function newestVintages(observations) {
+  const byDate = new Map();
   for (const o of observations) {
+    const d = String(o.date || "");
+    const seen = byDate.get(d);
+    if (!seen || String(o.realtime_start || "") >= String(seen.realtime_start || "")) byDate.set(d, o);
+  }
+  return Array.from(byDate.values()).sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+// Groups observations by calendar period and aggregates each group with
+// `aggregation` ("eop", "avg" or "sum").
+export function parseLevels(observations, calendar = "monthly", { aggregation = "avg" } = {}) {
+  const aggregate = AGGREGATIONS[aggregation];
+  if (!aggregate) {
+    throw makeAppError({
+      status: 400,
+      code: "BAD_AGGREGATION",
+      message: `Aggregation must be one of ${AGGREGATION_METHODS.join(", ")}.`,
+      details: { aggregation },
+    });
+  }
+  const keyOf = CALENDARS[calendar].key;
+  const groups = new Map();
+  for (const o of newestVintages(observations)) {
     const d = String(o.date || "");
     const vRaw = String(o.value || "").trim();
     if (!d || vRaw === "." || vRaw === "") continue;
     const v = Number(vRaw);
     if (!Number.isFinite(v)) continue;
-    map.set(monthKey(d), v);
+    const k = keyOf(d);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(v);
   }
+  const map = new Map();
+  for (const [k, values] of groups) map.set(k, aggregate(values));
   return map;
 }
 
+export function parseMonthlyLevels(observations, options) {
+  return parseLevels(observations, "monthly", options);
+}
+
+// ---- composite liquidity ----
+
+// Net liquidity = Fed balance sheet - Treasury General Account - overnight
+// reverse repo, in billions of USD (WALCL is reported in millions).
+export const NET_LIQUIDITY_FORMULA = Object.freeze([
+  Object.freeze({ seriesId: "WALCL", label: "Fed balance sheet", weight: 1, scale: 0.001 }),
+  Object.freeze({ seriesId: "WTREGEN", label: "Treasury General Account", weight: -1, scale: 1 }),
+  Object.freeze({ seriesId: "RRPONTSYD", label: "Overnight reverse repo", weight: -1, scale: 1 }),
+]);
+
+export function describeFormula(formula) {
+  return formula
+    .map((t, i) => {
+      const factor = Math.abs(t.weight * t.scale);
+      const term = `${factor === 1 ? "" : `${factor}*`}${t.seriesId}`;
+      if (i === 0) return t.weight < 0 ? `-${term}` : term;
+      return `${t.weight < 0 ? "-" : "+"} ${term}`;
+    })
+    .join(" ");
+}
+
+// levelsBySeries: Map(seriesId -> Map(periodKey -> level)). Only periods where
+// every term has a level are kept.
+export function combineLevels(levelsBySeries, formula) {
+  const [first, ...rest] = formula.map((t) => levelsBySeries.get(t.seriesId) ?? new Map());
+  const combined = new Map();
+  for (const k of first.keys()) {
+    if (!rest.every((m) => m.has(k))) continue;
+    let total = 0;
+    for (const t of formula) total += t.weight * t.scale * levelsBySeries.get(t.seriesId).get(k);
+    combined.set(k, total);
+  }
+  return combined;
+}
+
+// Splits the composite YoY growth at `key` into per-term percentage points;
+// the parts add up to the composite's YoY.
+function yoyContributions(levelsBySeries, formula, combined, key, calendar) {
+  const k12 = CALENDARS[calendar].back(key, 12);
+  const base = combined.get(k12);
+  return formula.map((t) => {
+    const m = levelsBySeries.get(t.seriesId);
+    const change = t.weight * t.scale * (m.get(key) - m.get(k12));
+    return Number.isFinite(base) && base !== 0 ? (change / Math.abs(base)) * 100 : NaN;
+  });
+}
+
+// Runs the YoY-momentum rule on the composite and reports, per term, its
+// latest level and how much it contributed to the latest YoY, the prior YoY
+// and the delta between them.
+export function compositeSignalFromLevels(levelsBySeries, formula, strategy = DEFAULT_STRATEGY, calendar = "monthly") {
+  const combined = combineLevels(levelsBySeries, formula);
+  const result = midTermSignalFromLevels(combined, strategy, calendar);
+  const latest = yoyContributions(levelsBySeries, formula, combined, result.latestMk, calendar);
+  const prior = yoyContributions(levelsBySeries, formula, combined, result.priorMk, calendar);
+
+  return {
+    ...result,
+    latestLevel: combined.get(result.latestMk),
+    components: formula.map((t, i) => ({
+      seriesId: t.seriesId,
+      label: t.label ?? t.seriesId,
+      weight: t.weight,
+      scale: t.scale,
+      latestLevel: levelsBySeries.get(t.seriesId).get(result.latestMk),
+      latestContributionPp: latest[i],
+      priorContributionPp: prior[i],
+      deltaContributionPp: latest[i] - prior[i],
+    })),
+  };
+}
+
+// ============================================================
+// HISTORY: every cross and regime change behind the current calls
+// ============================================================
+
+// Adds the price move over each regime: close at `from` to close at `to`,
+// from candles [{ period, close }]. Period keys finer than a month fall back
+// to that month's close; missing prices leave returnPct null.
+export function regimeReturns(regimes, candles) {
+  const byPeriod = new Map(candles.map((c) => [c.period, c.close]));
+  const closeAt = (k) => byPeriod.get(k) ?? byPeriod.get(String(k).slice(0, 7)) ?? null;
+  return regimes.map((r) => {
+    const startPrice = closeAt(r.from);
+    const endPrice = closeAt(r.to);
+    const returnPct = startPrice && endPrice != null ? (endPrice / startPrice - 1) * 100 : null;
+    return { ...r, startPrice, endPrice, returnPct };
+  });
+}
+
+// Short-term regimes run from one MACD cross to the next; the last one is
+// still open at the latest candle. `periods` counts candles of the interval.
+export function shortTermHistory(candles, strategy = DEFAULT_STRATEGY) {
+  const { macd, signal } = macdSeries(candles.map((c) => c.close), strategy.macd);
+  const crosses = macdCrosses({ macd, signal, candles });
+  const lastIdx = candles.length - 1;
+  const regimes = crosses.map((c, i) => {
+    const endIdx = i + 1 < crosses.length ? crosses[i + 1].idx : lastIdx;
+    return {
+      state: c.dir === "up" ? "bullish" : "bearish",
+      from: c.atISO,
+      to: candles[endIdx].period,
+      periods: endIdx - c.idx,
+      open: i + 1 === crosses.length,
+    };
+  });
+  return {
+    interval: strategy.interval,
+    crosses: crosses.map(({ dir, atISO, price }) => ({ dir, at: atISO, price })),
+    regimes: regimeReturns(regimes, candles),
+  };
+}
+
+// The mid-term rule replayed at every period as if it were the latest one:
+// [{ period, signal, yoy, deltaValue }], skipping periods without enough history.
+export function midTermSignalHistory(levels, strategy = DEFAULT_STRATEGY, calendar = "monthly") {
+  const keys = Array.from(levels.keys()).sort();
+  const out = [];
+  for (let i = 0; i < keys.length; i++) {
+    const visible = new Map(keys.slice(0, i + 1).map((k) => [k, levels.get(k)]));
+    let r;
+    try {
+      r = midTermSignalFromLevels(visible, strategy, calendar);
+    } catch {
+      continue;
+    }
+    if (r.latestMk !== keys[i]) continue;
+    out.push({ period: keys[i], signal: r.signal, yoy: r.latestYoy, deltaValue: r.deltaValue });
+  }
+  return out;
+}
+
+// Mid-term regime changes and the regimes between them. Returns need BTC
+// prices, which the liquidity series do not carry: see regimeReturns.
+export function midTermHistory(levels, strategy = DEFAULT_STRATEGY, calendar = "monthly") {
+  const states = midTermSignalHistory(levels, strategy, calendar);
+  const changes = [];
+  const regimes = [];
+  states.forEach((s, i) => {
+    const prev = states[i - 1];
+    if (prev && prev.signal === s.signal) return;
+    if (prev) changes.push({ at: s.period, from: prev.signal, to: s.signal, yoy: s.yoy, deltaValue: s.deltaValue });
+    regimes.push({ state: s.signal, startIdx: i });
+  });
+  return {
+    interval: calendar,
+    changes,
+    regimes: regimes.map((r, j) => {
+      const endIdx = j + 1 < regimes.length ? regimes[j + 1].startIdx : states.length - 1;
+      return {
+        state: r.state,
+        from: states[r.startIdx].period,
+        to: states[endIdx].period,
+        periods: endIdx - r.startIdx,
+        open: j + 1 === regimes.length,
+      };
+    }),
+  };
+}
+
+// Liquidity measures the mid-term rule can read: "m2" is the single FRED
+// series (seriesId), "net" the NET_LIQUIDITY_FORMULA composite.
+export const LIQUIDITY_MODES = ["m2", "net"];
+
+// Mode name -> the `liquidity` option of midTermResultFromObservations.
+export function liquidityFor(mode = "m2") {
+  if (mode === "m2") return null;
+  if (mode === "net") return { formula: NET_LIQUIDITY_FORMULA, calendar: "monthly" };
+  throw makeAppError({
+    status: 400,
+    code: "BAD_LIQUIDITY",
+    message: `Liquidity must be one of ${LIQUIDITY_MODES.join(", ")}.`,
+    details: { liquidity: mode },
+  });
+}
+
+// The FRED series a mid-term computation reads.
+export function midTermSeriesIds({ seriesId = FRED_SERIES_ID, liquidity = null } = {}) {
+  return liquidity?.formula?.length ? liquidity.formula.map((t) => t.seriesId) : [seriesId];
+}
+
+// Pure mid-term core: observations -> validate -> parse -> compute. The
+// dashboard card, /signal, the CLI and alerts all end here, so they agree.
+// observationsBySeries: Map(seriesId -> FRED observations) holding every
+// series of midTermSeriesIds. `liquidity` switches from the single `seriesId`
+// to a composite: { formula: [{ seriesId, label, weight, scale, aggregation? }],
+// calendar: "monthly" | "weekly" }. `aggregation` collapses higher-frequency
+// observations into each period. `asOf` (YYYY-MM-DD) drops observations dated
+// after that day and judges staleness against it; `vintage` is only reported.
+export function midTermResultFromObservations(
+  observationsBySeries,
+  {
+    seriesId = FRED_SERIES_ID,
+    liquidity = null,
+    aggregation = "avg",
+    vintage = "latest",
+    strict = false,
+    asOf = null,
+    strategy,
+    log,
+  } = {}
+) {
+  const active = resolveStrategy(strategy);
+  const seriesValue = seriesId?.trim() || FRED_SERIES_ID;
+
+  let dataAsOf = null;
+  const reports = {};
+  const observationsOf = (id) => {
+    const all = observationsBySeries.get(id) ?? [];
+    const obs = asOf ? observationsAsOf(all, asOf) : all;
+    const last = obs[obs.length - 1]?.date;
+    if (last && (!dataAsOf || last > dataAsOf)) dataAsOf = last;
+    reports[id] = validateObservations(obs, { now: asOfNow(asOf) });
+    log?.info?.(`${id} observations=${obs.length}`);
+    return obs;
+  };
+
+  const dataNote =
+    (vintage && vintage !== "latest" ? ` | vintage=${vintage}` : "") + (asOf ? ` | as of ${asOf}` : "");
+  let result;
+  if (liquidity?.formula?.length) {
+    const calendar = liquidity.calendar || "monthly";
+    const levelsBySeries = new Map();
+    for (const term of liquidity.formula) {
+      const obs = observationsOf(term.seriesId);
+      levelsBySeries.set(term.seriesId, parseLevels(obs, calendar, { aggregation: term.aggregation ?? aggregation }));
+    }
+    assertHealthy(mergeReports(reports), { strict, source: "FRED" });
+    const formulaText = describeFormula(liquidity.formula);
+    result = {
+      ...compositeSignalFromLevels(levelsBySeries, liquidity.formula, active, calendar),
+      history: midTermHistory(combineLevels(levelsBySeries, liquidity.formula), active, calendar),
+      calendar,
+      vintage,
+      formula: formulaText,
+      strategy: active,
+      meta: `composite=${formulaText} | ${calendar}${dataNote} | rule: latest > prior (${describeMidTermStrategy(active)})`,
+    };
+  } else {
+    const obs = observationsOf(seriesValue);
+    assertHealthy(mergeReports(reports), { strict, source: seriesValue });
+    const monthly = parseMonthlyLevels(obs, { aggregation });
+    result = {
+      ...midTermSignalFromLevels(monthly, active),
+      history: midTermHistory(monthly, active),
+      seriesId: seriesValue,
+      aggregation,
+      vintage,
+      strategy: active,
+      meta: `series_id=${seriesValue} | ${aggregation}${dataNote} | rule: latest > prior (${describeMidTermStrategy(active)})`,
+    };
+  }
+  return { ...result, asOf, dataAsOf, health: mergeReports(reports) };
+}
+
+// Browser and Node mid-term pipeline: fetch every series, then the pure core
+// above. The cards below are thin adapters over it. `vintage` picks revised
+// ("latest") or real-time data (see vintageParams); with `asOf` it becomes the
+// vintage published that day (see vintageAsOf).
+export async function computeMidTermSignal({
+  apiKey = "",
+  seriesId = FRED_SERIES_ID,
+  proxyUrl = defaultProxyRouteUrl("/fred"),
+  liquidity = null,
+  aggregation = "avg",
+  vintage = "latest",
+  strict = false,
+  asOf = null,
+  strategy,
+  signal,
+  log,
+} = {}) {
+  vintage = vintageAsOf(vintage, asOf);
+  const proxyValue = proxyUrl?.trim() || "";
+  const apiValue = String(apiKey).trim();
+  const seriesValue = seriesId?.trim() || FRED_SERIES_ID;
+
+  const fetchFrom = (url, id) =>
+    fetchObservations({
+      proxyUrl: url,
+      apiKey: apiValue,
+      seriesId: id,
+      vintage,
+      end: asOf || undefined,
+      signal,
+      log: (line) => log?.info?.(line),
+    });
+  const loadObservations = async (id) => {
+    try {
+      return await fetchFrom(proxyValue, id);
+    } catch (err) {
+      const is404 = isAppError(err) && err.code === "HTTP_NOT_OK" && err.status === 404;
+      if (!(is404 && isLocalOriginProxy(proxyValue))) throw err;
+      const fallback = "http://localhost:8787/fred";
+      log?.info?.(`Proxy 404. Retrying with ${fallback}`);
+      return fetchFrom(fallback, id);
+    }
+  };
+
+  const observationsBySeries = new Map();
+  for (const id of midTermSeriesIds({ seriesId: seriesValue, liquidity })) {
+    observationsBySeries.set(id, await timed(log, `fetch ${id}`, () => loadObservations(id)));
+  }
+  return timed(log, "compute mid-term", () =>
+    midTermResultFromObservations(observationsBySeries, {
+      seriesId: seriesValue,
+      liquidity,
+      aggregation,
+      vintage,
+      strict,
+      asOf,
+      strategy,
+      log,
+    })
+  );
+}
+
 function setMidTermState(ui, state) {
-  ui.container.classList.remove("state-bullish", "state-bearish", "state-loading", "state-error");
+  ui.container.classList.remove("state-bullish", "state-bearish", "state-neutral", "state-loading", "state-error");
 
   if (state === "idle") {
     ui.container.classList.add("state-loading");
@@ -443,6 +1480,12 @@ function setMidTermState(ui, state) {
     ui.status.style.backgroundColor = "var(--signal-bear)";
     return;
   }
+  if (state === "neutral") {
+    ui.container.classList.add("state-neutral");
+    ui.signal.textContent = "NEUTRAL";
+    ui.status.style.backgroundColor = "var(--signal-neutral)";
+    return;
+  }
   if (state === "error") {
     ui.container.classList.add("state-error");
     ui.signal.textContent = "ERROR";
@@ -469,53 +1512,17 @@ export function initMidTermSignal({
   apiKey,
   seriesId,
   runBtn,
+  strategy,
 }) {
-  const logLine = (line) => {
+  // the log box is one more sink of the shared logger, with the typed key masked
+  const logBoxSink = (entry) => {
     if (!logBox) return;
-    logBox.textContent += `[${new Date().toISOString()}] ${line}\n`;
+    const level = entry.level === "info" ? "" : `${entry.level.toUpperCase()}: `;
+    const ms = entry.data?.ms != null ? ` (${entry.data.ms} ms)` : "";
+    logBox.textContent += `[${entry.time}] ${level}${entry.msg}${ms}\n`;
     logBox.scrollTop = logBox.scrollHeight;
   };
-
-  const log = {
-    info: (msg) => logLine(msg),
-    error: (msg) => logLine(`ERROR: ${msg}`),
-  };
-
-  async function computeSignal({ apiKeyValue, proxyValue, seriesValue }) {
-    const obs = await fetchObservations({
-      proxyUrl: proxyValue,
-      apiKey: apiKeyValue,
-      seriesId: seriesValue,
-      log: log.info,
-    });
-    logLine(`observations=${obs.length}`);
-
-    const monthly = parseMonthlyLevels(obs);
-    const yoy = computeYoYFromMonthlyLevels(monthly);
-    const yoyMonths = Array.from(yoy.keys()).sort();
-    if (yoyMonths.length < 6) throw new Error("Too few YoY points (need >= 12 months of levels).");
-
-    const latestMk = yoyMonths[yoyMonths.length - 1];
-    const latestYoy = yoy.get(latestMk);
-
-    const targetMk = addMonthsKey(latestMk, -3);
-    const priorMk = findMonthAtOrBefore(yoyMonths, targetMk);
-    if (!priorMk) throw new Error("Could not find prior month near 3 months ago.");
-    const priorYoy = yoy.get(priorMk);
-
-    const deltaValue = latestYoy - priorYoy;
-    const bullish = deltaValue > 0;
-
-    return {
-      signal: bullish ? "bullish" : "bearish",
-      latestMk,
-      latestYoy,
-      priorMk,
-      priorYoy,
-      deltaValue,
-      meta: `series_id=${seriesValue} | rule: latest > prior`,
-    };
-  }
+  const log = createLogger({ tag: "M2-Logic", sinks: [consoleSink, logBoxSink], secrets: () => [apiKey.value.trim()] });
 
   async function run() {
     if (logBox) logBox.textContent = "";
@@ -526,14 +1533,14 @@ export function initMidTermSignal({
     const series = seriesId.value.trim() || FRED_SERIES_ID;
 
     try {
-      const result = await computeSignal({ apiKeyValue: api, proxyValue: proxy, seriesValue: series });
+      const result = await computeMidTermSignal({ apiKey: api, proxyUrl: proxy, seriesId: series, strategy, log });
       setMidTermState(ui, result.signal);
       latest.textContent = `${fmtPct(result.latestYoy)} (${result.latestMk})`;
       prior.textContent = `${fmtPct(result.priorYoy)} (${result.priorMk})`;
-      delta.textContent = `${result.deltaValue >= 0 ? "+" : ""}${result.deltaValue.toFixed(2)} pp`;
+      delta.textContent = `${result.deltaValue >= 0 ? "+" : ""}${result.deltaValue.toFixed(2)} pp (${fmtConfidence(result.confidence)})`;
       meta.textContent = result.meta;
       subtitle.textContent = "Computed from monthly levels (YoY derived).";
-      logLine(
+      log.info(
         `latest=${result.latestMk} yoy=${result.latestYoy.toFixed(2)} prior=${result.priorMk} yoy=${result.priorYoy.toFixed(2)} delta=${result.deltaValue.toFixed(2)}`
       );
     } catch (e) {
@@ -550,32 +1557,63 @@ export function initMidTermSignal({
   runBtn.addEventListener("click", run);
 }
 
+function renderComponents(el, components) {
+  const rows = (components || []).map((c) => {
+    const row = document.createElement("div");
+    row.className = "component-row";
+    const pp = (x) => (Number.isFinite(x) ? `${x >= 0 ? "+" : ""}${x.toFixed(2)} pp` : "-");
+
+    const label = document.createElement("span");
+    label.textContent = c.seriesId;
+    label.title = c.label;
+    const yoy = document.createElement("span");
+    yoy.textContent = `YoY ${pp(c.latestContributionPp)}`;
+    const delta = document.createElement("span");
+    delta.className = "component-delta";
+    delta.textContent = `Δ ${pp(c.deltaContributionPp)}`;
+
+    row.append(label, yoy, delta);
+    return row;
+  });
+  el.replaceChildren(...rows);
+}
+
+// Card adapter over computeMidTermSignal (same options).
 export async function initMidTermSignalAuto({
   apiKey = "",
   seriesId = FRED_SERIES_ID,
-  proxyUrl = defaultProxyUrl(),
+  proxyUrl = defaultProxyRouteUrl("/fred"),
+  liquidity = null,
+  aggregation = "avg",
+  vintage = "latest",
+  strict = false,
+  asOf = null,
+  strategy,
+  signal,
+  background = false,
+  log = createLogger({ tag: "M2-Logic" }),
   container,
   text,
   note,
+  components,
+  health,
   onResult,
   onError,
 } = {}) {
-  const log = {
-    info: (msg, data) => console.log(`[M2-Logic] ${msg}`, data ?? ""),
-    error: (msg, data) => console.error(`[M2-Logic] ${msg}`, data ?? ""),
-  };
-
   const ui = container && text ? { container, text, note } : null;
 
   const setUi = (state, detail) => {
     if (!ui) return;
-    ui.container.classList.remove("state-bullish", "state-bearish", "state-loading", "state-error");
+    ui.container.classList.remove("state-bullish", "state-bearish", "state-neutral", "state-loading", "state-error");
     if (state === "bullish") {
       ui.container.classList.add("state-bullish");
       ui.text.textContent = "BULLISH";
     } else if (state === "bearish") {
       ui.container.classList.add("state-bearish");
       ui.text.textContent = "BEARISH";
+    } else if (state === "neutral") {
+      ui.container.classList.add("state-neutral");
+      ui.text.textContent = "NEUTRAL";
     } else if (state === "error") {
       ui.container.classList.add("state-error");
       ui.text.textContent = "ERROR";
@@ -586,77 +1624,43 @@ export async function initMidTermSignalAuto({
     if (ui.note && detail) ui.note.textContent = detail;
   };
 
-  setUi("loading", "Based on liquidity injection/withdrawal");
+  if (!background) {
+    setUi("loading", "Based on liquidity injection/withdrawal");
+    if (components) components.replaceChildren();
+  }
 
   try {
-    const proxyValue = proxyUrl?.trim() || "";
-    const apiValue = String(apiKey).trim();
-    const seriesValue = seriesId?.trim() || FRED_SERIES_ID;
-
-    let obs;
-    try {
-      obs = await fetchObservations({
-        proxyUrl: proxyValue,
-        apiKey: apiValue,
-        seriesId: seriesValue,
-        log: (line) => log.info(line),
-      });
-    } catch (err) {
-      const is404 = isAppError(err) && err.code === "HTTP_NOT_OK" && err.status === 404;
-      if (is404 && isLocalOriginProxy(proxyValue)) {
-        const fallback = "http://localhost:8787/fred";
-        log.info(`Proxy 404. Retrying with ${fallback}`);
-        obs = await fetchObservations({
-          proxyUrl: fallback,
-          apiKey: apiValue,
-          seriesId: seriesValue,
-          log: (line) => log.info(line),
-        });
-      } else {
-        throw err;
-      }
-    }
-
-    const monthly = parseMonthlyLevels(obs);
-    const yoy = computeYoYFromMonthlyLevels(monthly);
-    const yoyMonths = Array.from(yoy.keys()).sort();
-    if (yoyMonths.length < 6) throw new Error("Too few YoY points (need >= 12 months of levels).");
-
-    const latestMk = yoyMonths[yoyMonths.length - 1];
-    const latestYoy = yoy.get(latestMk);
-
-    const targetMk = addMonthsKey(latestMk, -3);
-    const priorMk = findMonthAtOrBefore(yoyMonths, targetMk);
-    if (!priorMk) throw new Error("Could not find prior month near 3 months ago.");
-    const priorYoy = yoy.get(priorMk);
-
-    const deltaValue = latestYoy - priorYoy;
-    const bullish = deltaValue > 0;
-
-    const result = {
-      signal: bullish ? "bullish" : "bearish",
-      latestMk,
-      latestYoy,
-      priorMk,
-      priorYoy,
-      deltaValue,
-      meta: `series_id=${seriesId} | rule: latest > prior`,
-    };
-
-    log.info("Computed mid-term signal", result);
-    setUi(result.signal, "Based on liquidity injection/withdrawal");
+    const active = resolveStrategy(strategy);
+    const result = await computeMidTermSignal({
+      apiKey,
+      seriesId,
+      proxyUrl,
+      liquidity,
+      aggregation,
+      vintage,
+      strict,
+      asOf,
+      strategy: active,
+      signal,
+      log,
+    });
+    if (signal?.aborted) return;
+
+    log.info("Computed mid-term signal", { signal: result.signal, confidence: result.confidence, dataAsOf: result.dataAsOf });
+    setUi(
+      result.signal,
+      `Based on liquidity injection/withdrawal (${describeMidTermStrategy(active)}) · ${fmtConfidence(result.confidence)}`
+    );
+    if (components && result.components) renderComponents(components, result.components);
+    if (health) renderHealth(health, result.health);
     onResult?.(result);
   } catch (err) {
-    const normalized = isAppError(err)
-      ? err
-      : makeAppError({
-          status: 0,
-          code: "MID_TERM_FAILED",
-          message: "Mid-term fetch failed.",
-          details: { raw: safeStringify(err) },
-        });
+    if (signal?.aborted) return;
+    const normalized = toAppError(err, { code: "MID_TERM_FAILED", message: "Mid-term fetch failed." });
     log.error("Mid-term error", normalized);
-    setUi("error", "Mid-term data fetch failed. Check proxy server.");
+    const refused = normalized.code === "DATA_QUALITY";
+    setUi("error", refused ? normalized.message : `Mid-term data fetch failed: ${normalized.message} (${normalized.code})`);
+    if (health) renderHealth(health, refused ? normalized.details.health : null);
     onError?.(normalized);
   }
 }
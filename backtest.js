@@ -0,0 +1,301 @@
+// backtest.js
+// Month-by-month historical replay of the short-term MACD and mid-term M2 signals.
+
+import {
+  addMonthsKey,
+  defaultProxyRouteUrl,
+  fetchObservations,
+  fmtPct,
+  getMarketPriceDaily,
+  makeAppError,
+  midTermSignalFromLevels,
+  parseMonthlyLevels,
+  resampleToMonthEndCloses,
+  resolveStrategy,
+  shortTermSignalFromCandles,
+  toAppError,
+} from "./app.js";
+import { createLogger, timed } from "./logger.js";
+
+// M2SL for month M is published a few weeks after M ends, so at the close of
+// month M the newest level anyone could have seen is M-1.
+const DEFAULT_RELEASE_LAG_MONTHS = 1;
+
+// ============================================================
+// Signal replay (pure)
+// ============================================================
+
+function filterLevelsUpTo(monthly, lastMonth) {
+  const out = new Map();
+  for (const [mk, v] of monthly) {
+    if (mk <= lastMonth) out.set(mk, v);
+  }
+  return out;
+}
+
+function shortTermAt(months, i, strategy) {
+  const { state } = shortTermSignalFromCandles(months.slice(0, i + 1), strategy);
+  return state === "loading" ? null : state;
+}
+
+function midTermAt(monthly, month, releaseLagMonths, strategy) {
+  const visible = filterLevelsUpTo(monthly, addMonthsKey(month, -releaseLagMonths));
+  try {
+    return midTermSignalFromLevels(visible, strategy).signal;
+  } catch {
+    return null;
+  }
+}
+
+// `months` are month-end candles; the strategy's interval is ignored because
+// the replay always steps one month at a time.
+export function replaySignals({
+  months,
+  monthlyLevels,
+  releaseLagMonths = DEFAULT_RELEASE_LAG_MONTHS,
+  strategy = resolveStrategy(),
+}) {
+  return months.map((m, i) => ({
+    month: m.period,
+    close: m.close,
+    short: shortTermAt(months, i, strategy),
+    mid: monthlyLevels ? midTermAt(monthlyLevels, m.period, releaseLagMonths, strategy) : null,
+  }));
+}
+
+// ============================================================
+// Performance stats (pure)
+// ============================================================
+
+function combinedState(step) {
+  if (!step.short || !step.mid) return null;
+  if (step.short === "bullish" && step.mid === "bullish") return "bullish";
+  if (step.short === "bearish" || step.mid === "bearish") return "bearish";
+  return "neutral";
+}
+
+const STRATEGIES = {
+  short: (step) => step.short,
+  mid: (step) => step.mid,
+  combined: combinedState,
+};
+
+function maxDrawdown(equity) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const v of equity) {
+    if (v > peak) peak = v;
+    const dd = peak > 0 ? v / peak - 1 : 0;
+    if (dd < worst) worst = dd;
+  }
+  return worst;
+}
+
+function annualized(totalReturn, periods) {
+  if (periods <= 0 || totalReturn <= -1) return NaN;
+  return ((1 + totalReturn) ** (12 / periods) - 1) * 100;
+}
+
+// Long when the signal at the close of month i is bullish, flat otherwise; the
+// position is held over month i+1. Hit rate counts a call as correct when a
+// bullish month is followed by a gain, or a bearish month by a non-gain;
+// neutral months are not counted as calls.
+function runStrategy(steps, pickState) {
+  const first = steps.findIndex((s) => pickState(s) != null);
+  if (first === -1 || first >= steps.length - 1) return null;
+
+  let equity = 1;
+  let benchmark = 1;
+  let inMarket = 0;
+  let hits = 0;
+  let calls = 0;
+  let trades = 0;
+  let prevPosition = 0;
+  const curve = [{ month: steps[first].month, equity, benchmark, position: null }];
+
+  for (let i = first; i < steps.length - 1; i++) {
+    const state = pickState(steps[i]);
+    const ret = steps[i + 1].close / steps[i].close - 1;
+    const position = state === "bullish" ? 1 : 0;
+
+    if (position === 1 && prevPosition === 0) trades += 1;
+    prevPosition = position;
+
+    equity *= 1 + position * ret;
+    benchmark *= 1 + ret;
+    inMarket += position;
+
+    if (state === "bullish" || state === "bearish") {
+      calls += 1;
+      if ((state === "bullish" && ret > 0) || (state === "bearish" && ret <= 0)) hits += 1;
+    }
+
+    curve.push({ month: steps[i + 1].month, equity, benchmark, position, state });
+  }
+
+  const periods = curve.length - 1;
+  const equities = curve.map((p) => p.equity);
+  const benchmarks = curve.map((p) => p.benchmark);
+
+  return {
+    from: curve[0].month,
+    to: curve[curve.length - 1].month,
+    periods,
+    trades,
+    totalReturnPct: (equity - 1) * 100,
+    cagrPct: annualized(equity - 1, periods),
+    maxDrawdownPct: maxDrawdown(equities) * 100,
+    hitRatePct: calls ? (hits / calls) * 100 : NaN,
+    timeInMarketPct: (inMarket / periods) * 100,
+    buyAndHold: {
+      totalReturnPct: (benchmark - 1) * 100,
+      cagrPct: annualized(benchmark - 1, periods),
+      maxDrawdownPct: maxDrawdown(benchmarks) * 100,
+    },
+    curve,
+  };
+}
+
+export function runBacktest({
+  months,
+  monthlyLevels,
+  releaseLagMonths = DEFAULT_RELEASE_LAG_MONTHS,
+  strategy = resolveStrategy(),
+}) {
+  const steps = replaySignals({ months, monthlyLevels, releaseLagMonths, strategy });
+  const strategies = {};
+  for (const [name, pick] of Object.entries(STRATEGIES)) {
+    strategies[name] = runStrategy(steps, pick);
+  }
+  return { releaseLagMonths, strategy, steps, strategies };
+}
+
+// ============================================================
+// Fetch + run
+// ============================================================
+
+export async function computeBacktest({
+  timespan = "10years",
+  proxyUrl = defaultProxyRouteUrl("/fred"),
+  apiKey = "",
+  seriesId = "M2SL",
+  vintage = "latest",
+  releaseLagMonths = DEFAULT_RELEASE_LAG_MONTHS,
+  strategy,
+  signal,
+  log,
+} = {}) {
+  const active = resolveStrategy(strategy);
+  const raw = await getMarketPriceDaily({ timespan, sampled: false, signal, log });
+  const months = resampleToMonthEndCloses(raw.values, log);
+
+  const obs = await fetchObservations({
+    proxyUrl,
+    apiKey,
+    seriesId,
+    vintage,
+    signal,
+    log: (line) => log?.info?.(line),
+  });
+  const monthlyLevels = parseMonthlyLevels(obs);
+
+  const result = { ...runBacktest({ months, monthlyLevels, releaseLagMonths, strategy: active }), vintage };
+  if (!Object.values(result.strategies).some(Boolean)) {
+    throw makeAppError({
+      status: 422,
+      code: "NOT_ENOUGH_DATA",
+      message: "Not enough history to backtest.",
+      details: { months: months.length, levels: monthlyLevels.size },
+    });
+  }
+  return result;
+}
+
+// ============================================================
+// UI
+// ============================================================
+
+const STRATEGY_LABELS = {
+  short: "Short (MACD)",
+  mid: "Mid (M2 YoY)",
+  combined: "Both bullish",
+};
+
+function renderTable(output, result) {
+  const header = ["Strategy", "Window", "Return", "B&H", "Max DD", "B&H DD", "Hit rate", "In market"];
+  const rows = Object.entries(result.strategies).map(([name, s]) => {
+    if (!s) return [STRATEGY_LABELS[name], "not enough data", "-", "-", "-", "-", "-", "-"];
+    return [
+      STRATEGY_LABELS[name],
+      `${s.from} → ${s.to}`,
+      fmtPct(s.totalReturnPct),
+      fmtPct(s.buyAndHold.totalReturnPct),
+      fmtPct(s.maxDrawdownPct),
+      fmtPct(s.buyAndHold.maxDrawdownPct),
+      fmtPct(s.hitRatePct),
+      fmtPct(s.timeInMarketPct),
+    ];
+  });
+
+  const table = document.createElement("table");
+  const thead = table.createTHead().insertRow();
+  for (const h of header) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    thead.appendChild(th);
+  }
+  const tbody = table.createTBody();
+  for (const row of rows) {
+    const tr = tbody.insertRow();
+    for (const cell of row) tr.insertCell().textContent = cell;
+  }
+  output.replaceChildren(table);
+}
+
+// `vintageSelect` (optional) chooses between revised M2 and first releases,
+// which is what was actually known at each step of the replay. `settings`
+// (optional) is read on every run for { proxyUrl, apiKey, seriesId, strategy },
+// so the dashboard's saved preferences apply without re-initialising.
+export function initBacktest({
+  runBtn,
+  vintageSelect,
+  output,
+  note,
+  proxyUrl = "/fred",
+  settings = () => ({}),
+  log = createLogger({ tag: "Backtest" }),
+  onResult,
+  onError,
+}) {
+  let abort = null;
+
+  async function run() {
+    abort?.abort();
+    abort = new AbortController();
+    runBtn.disabled = true;
+    if (note) note.textContent = "Replaying signals month by month...";
+
+    try {
+      const vintage = vintageSelect?.value || "latest";
+      const result = await timed(log, "backtest", () =>
+        computeBacktest({ proxyUrl, ...settings(), vintage, signal: abort.signal, log })
+      );
+      log.info("Backtest complete", result.strategies);
+      renderTable(output, result);
+      if (note) {
+        const data = result.vintage === "first" ? "First-release" : "Revised";
+        note.textContent = `Long when bullish, flat otherwise. ${data} M2 levels lagged ${result.releaseLagMonths} month(s) for release delay.`;
+      }
+      onResult?.(result);
+    } catch (err) {
+      const normalized = toAppError(err, { code: "BACKTEST_FAILED", message: "Backtest failed." });
+      log.error("Backtest error", normalized);
+      if (note) note.textContent = `Backtest failed: ${normalized.message}`;
+      onError?.(normalized);
+    } finally {
+      runBtn.disabled = false;
+    }
+  }
+
+  runBtn.addEventListener("click", run);
+}
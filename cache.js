@@ -0,0 +1,45 @@
+// cache.js
+// On-disk JSON cache for upstream responses served by proxy.js.
+// Entries are stored one per file, named by a hash of the cache key.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Query params that never change the upstream payload and must not end up on disk.
+const IGNORED_KEY_PARAMS = new Set(["api_key", "cors", "format", "file_type"]);
+
+export function cacheKey(route, params) {
+  const entries = Array.from(params.entries())
+    .filter(([k]) => !IGNORED_KEY_PARAMS.has(k))
+    .sort(([a], [b]) => a.localeCompare(b));
+  return `${route}?${new URLSearchParams(entries).toString()}`;
+}
+
+export function createDiskCache({ dir }) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+  async function get(key) {
+    try {
+      const raw = await fs.readFile(fileFor(key), "utf8");
+      const entry = JSON.parse(raw);
+      if (entry.key !== key || typeof entry.body !== "string") return null;
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  async function set(key, body) {
+    const entry = { key, fetchedAt: Date.now(), body };
+    await fs.mkdir(dir, { recursive: true });
+    // write-then-rename so a crash mid-write never leaves a truncated entry
+    const file = fileFor(key);
+    const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry));
+    await fs.rename(tmp, file);
+    return entry;
+  }
+
+  return { get, set };
+}
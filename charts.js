@@ -0,0 +1,318 @@
+// charts.js
+// Dependency-free SVG charts for the dashboard: BTC price, MACD/signal and M2 YoY.
+// Mouse wheel zooms, drag pans, double-click resets, hover shows a tooltip.
+// Also the regime timeline listed under each card.
+
+import { fmtPct } from "./app.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const WIDTH = 440;
+const PAD = { left: 4, right: 56, top: 14, gap: 14, axis: 16 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const MIN_SPAN = 6;
+
+// Mirrors the CSS custom properties in index.html; SVG presentation
+// attributes do not resolve var().
+const COLORS = {
+  price: "#e0e0e0",
+  macd: "#00ff94",
+  signal: "#ff003c",
+  histogram: "#333333",
+  grid: "#222222",
+  muted: "#666666",
+  marker: "#ffb000",
+};
+
+function svgEl(name, attrs = {}) {
+  const node = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, String(v));
+  return node;
+}
+
+function extent(values) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of values) {
+    if (v == null || !Number.isFinite(v)) continue;
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  if (lo === Infinity) return [0, 1];
+  if (lo === hi) return [lo - 1, hi + 1];
+  return [lo, hi];
+}
+
+function fmtUsd(x) {
+  return Number.isFinite(x) ? `$${Math.round(x).toLocaleString("en-US")}` : "-";
+}
+
+function fmtNum(x) {
+  return Number.isFinite(x) ? x.toFixed(Math.abs(x) >= 100 ? 0 : 2) : "-";
+}
+
+// panels: [{ height, log?, includeZero?, format, series: [{ name, values, color, kind: "line"|"bars" }], points? }]
+// markers: [{ index, label }] drawn as vertical rules across every panel.
+function mountChart(container, { labels, panels, markers = [] }) {
+  const n = labels.length;
+  const view = { from: 0, to: n - 1 };
+  let hover = null;
+  let drag = null;
+
+  const height = PAD.top + panels.reduce((acc, p) => acc + p.height, 0) + PAD.gap * (panels.length - 1) + PAD.axis;
+  const svg = svgEl("svg", { viewBox: `0 0 ${WIDTH} ${height}`, class: "chart-svg" });
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.hidden = true;
+  container.replaceChildren(svg, tooltip);
+
+  const span = () => Math.max(1, view.to - view.from);
+  const xOf = (i) => PAD.left + ((i - view.from) / span()) * PLOT_W;
+
+  function indexAt(evt) {
+    const rect = svg.getBoundingClientRect();
+    const x = ((evt.clientX - rect.left) / rect.width) * WIDTH;
+    const i = Math.round(view.from + ((x - PAD.left) / PLOT_W) * span());
+    return Math.min(view.to, Math.max(view.from, i));
+  }
+
+  function setView(from, width) {
+    const w = Math.min(n - 1, Math.max(MIN_SPAN, width));
+    const start = Math.min(n - 1 - w, Math.max(0, from));
+    view.from = start;
+    view.to = start + w;
+  }
+
+  function drawPanel(panel, top) {
+    const tf = (v) => (panel.log && v > 0 ? Math.log10(v) : v);
+    const inv = (v) => (panel.log ? 10 ** v : v);
+    const visible = panel.series.flatMap((s) => s.values.slice(view.from, view.to + 1)).map(tf);
+    if (panel.includeZero) visible.push(0);
+    const [lo, hi] = extent(visible);
+    const yOf = (v) => top + panel.height - ((tf(v) - lo) / (hi - lo)) * panel.height;
+
+    svg.appendChild(svgEl("line", { x1: PAD.left, x2: PAD.left + PLOT_W, y1: top + panel.height, y2: top + panel.height, stroke: COLORS.grid }));
+    for (const v of [hi, lo]) {
+      const text = svgEl("text", { x: WIDTH - PAD.right + 6, y: v === hi ? top + 8 : top + panel.height, class: "chart-axis" });
+      text.textContent = panel.format(inv(v));
+      svg.appendChild(text);
+    }
+    if (panel.includeZero && lo < 0 && hi > 0) {
+      svg.appendChild(svgEl("line", { x1: PAD.left, x2: PAD.left + PLOT_W, y1: yOf(0), y2: yOf(0), stroke: COLORS.grid, "stroke-dasharray": "2 3" }));
+    }
+
+    const barW = Math.max(1, (PLOT_W / (span() + 1)) * 0.7);
+    for (const s of panel.series) {
+      if (s.kind === "bars") {
+        for (let i = view.from; i <= view.to; i++) {
+          const v = s.values[i];
+          if (v == null || !Number.isFinite(v)) continue;
+          const y0 = yOf(0);
+          const y1 = yOf(v);
+          svg.appendChild(svgEl("rect", { x: xOf(i) - barW / 2, y: Math.min(y0, y1), width: barW, height: Math.abs(y1 - y0), fill: s.color }));
+        }
+        continue;
+      }
+      let d = "";
+      let pen = false;
+      for (let i = view.from; i <= view.to; i++) {
+        const v = s.values[i];
+        if (v == null || !Number.isFinite(v) || (panel.log && v <= 0)) {
+          pen = false;
+          continue;
+        }
+        d += `${pen ? "L" : "M"}${xOf(i).toFixed(1)},${yOf(v).toFixed(1)}`;
+        pen = true;
+      }
+      svg.appendChild(svgEl("path", { d, fill: "none", stroke: s.color, "stroke-width": 1.5 }));
+    }
+
+    for (const p of panel.points || []) {
+      const v = panel.series[0].values[p.index];
+      if (p.index < view.from || p.index > view.to || !Number.isFinite(v)) continue;
+      svg.appendChild(svgEl("circle", { cx: xOf(p.index), cy: yOf(v), r: 3.5, fill: p.color }));
+      const text = svgEl("text", { x: xOf(p.index), y: yOf(v) - 7, class: "chart-axis", "text-anchor": "middle", style: `fill: ${p.color}` });
+      text.textContent = p.label;
+      svg.appendChild(text);
+    }
+  }
+
+  function draw() {
+    svg.replaceChildren();
+    let top = PAD.top;
+    for (const panel of panels) {
+      drawPanel(panel, top);
+      top += panel.height + PAD.gap;
+    }
+    const bottom = top - PAD.gap;
+
+    for (const m of markers) {
+      if (m.index < view.from || m.index > view.to) continue;
+      const x = xOf(m.index);
+      svg.appendChild(svgEl("line", { x1: x, x2: x, y1: PAD.top, y2: bottom, stroke: COLORS.marker, "stroke-dasharray": "3 3" }));
+      const text = svgEl("text", { x, y: PAD.top - 4, class: "chart-axis", "text-anchor": "middle", style: `fill: ${COLORS.marker}` });
+      text.textContent = m.label;
+      svg.appendChild(text);
+    }
+
+    if (hover != null) {
+      const x = xOf(hover);
+      svg.appendChild(svgEl("line", { x1: x, x2: x, y1: PAD.top, y2: bottom, stroke: COLORS.muted }));
+    }
+
+    for (const [i, anchor] of [[view.from, "start"], [view.to, "end"]]) {
+      const text = svgEl("text", { x: xOf(i), y: bottom + PAD.axis - 2, class: "chart-axis", "text-anchor": anchor });
+      text.textContent = labels[i];
+      svg.appendChild(text);
+    }
+  }
+
+  function showTooltip(evt, i) {
+    const lines = [labels[i]];
+    for (const panel of panels) {
+      for (const s of panel.series) lines.push(`${s.name}: ${panel.format(s.values[i])}`);
+    }
+    tooltip.textContent = lines.join("\n");
+    tooltip.hidden = false;
+    const box = container.getBoundingClientRect();
+    const left = evt.clientX - box.left + 12;
+    tooltip.style.left = `${Math.min(left, box.width - tooltip.offsetWidth - 4)}px`;
+    tooltip.style.top = `${evt.clientY - box.top + 12}px`;
+  }
+
+  svg.addEventListener("pointerdown", (evt) => {
+    drag = { x: evt.clientX, from: view.from };
+    svg.setPointerCapture(evt.pointerId);
+  });
+  svg.addEventListener("pointerup", () => {
+    drag = null;
+  });
+  svg.addEventListener("pointermove", (evt) => {
+    if (drag) {
+      const rect = svg.getBoundingClientRect();
+      const shift = Math.round((((drag.x - evt.clientX) / rect.width) * WIDTH * span()) / PLOT_W);
+      setView(drag.from + shift, span());
+    }
+    hover = indexAt(evt);
+    draw();
+    showTooltip(evt, hover);
+  });
+  svg.addEventListener("pointerleave", () => {
+    hover = null;
+    tooltip.hidden = true;
+    draw();
+  });
+  svg.addEventListener(
+    "wheel",
+    (evt) => {
+      evt.preventDefault();
+      const anchor = indexAt(evt);
+      const ratio = (anchor - view.from) / span();
+      const width = Math.round(span() * (evt.deltaY > 0 ? 1.25 : 0.8));
+      setView(Math.round(anchor - ratio * width), width);
+      draw();
+    },
+    { passive: false }
+  );
+  svg.addEventListener("dblclick", () => {
+    setView(0, n - 1);
+    draw();
+  });
+
+  draw();
+}
+
+// Monthly BTC closes (log scale) over a MACD/signal/histogram panel, with the
+// last cross reported by lastMacdCross marked on both.
+export function renderPriceMacdChart(container, { series, cross }) {
+  if (!container || !series) return;
+  const { periods, closes, macd, signal } = series;
+  const histogram = macd.map((m, i) => (m == null || signal[i] == null ? null : m - signal[i]));
+  const markers = cross && cross.idx >= 0 ? [{ index: cross.idx, label: `cross ${cross.dir}` }] : [];
+
+  mountChart(container, {
+    labels: periods,
+    markers,
+    panels: [
+      {
+        height: 120,
+        log: true,
+        format: fmtUsd,
+        series: [{ name: "BTC", values: closes, color: COLORS.price }],
+      },
+      {
+        height: 70,
+        includeZero: true,
+        format: fmtNum,
+        series: [
+          { name: "Hist", values: histogram, color: COLORS.histogram, kind: "bars" },
+          { name: "MACD", values: macd, color: COLORS.macd },
+          { name: "Signal", values: signal, color: COLORS.signal },
+        ],
+      },
+    ],
+  });
+}
+
+// M2 (or composite liquidity) YoY growth with the two months the rule compares highlighted.
+export function renderYoYChart(container, { yoySeries, latestMk, priorMk, formula }) {
+  if (!container || !yoySeries) return;
+  const labels = yoySeries.map((p) => p.month);
+  const values = yoySeries.map((p) => p.yoy);
+  const points = [
+    { index: labels.indexOf(priorMk), label: "prior", color: COLORS.muted },
+    { index: labels.indexOf(latestMk), label: "latest", color: COLORS.marker },
+  ].filter((p) => p.index >= 0);
+
+  mountChart(container, {
+    labels,
+    panels: [
+      {
+        height: 90,
+        includeZero: true,
+        format: fmtPct,
+        series: [{ name: formula ? "Net liq YoY" : "M2 YoY", values, color: COLORS.macd }],
+        points,
+      },
+    ],
+  });
+}
+
+const PERIOD_UNITS = { daily: "d", weekly: "wk", monthly: "mo" };
+
+// Regimes newest first (see shortTermHistory / midTermHistory): state, when it
+// began and ended, its length and the price move over it.
+export function renderTimeline(container, { interval = "monthly", regimes } = {}) {
+  if (!container) return;
+  const unit = PERIOD_UNITS[interval] || "periods";
+  const rows = (regimes || [])
+    .slice()
+    .reverse()
+    .map((r) => {
+      const row = document.createElement("div");
+      row.className = `regime-row state-${r.state}`;
+
+      const state = document.createElement("span");
+      state.className = "regime-state";
+      state.textContent = `${r.state === "bullish" ? "▲" : r.state === "bearish" ? "▼" : "■"} ${r.state.toUpperCase()}`;
+
+      const span = document.createElement("span");
+      span.textContent = `${r.from}${Number.isFinite(r.startPrice) ? ` @ ${fmtUsd(r.startPrice)}` : ""} → ${r.open ? "now" : r.to}`;
+
+      const length = document.createElement("span");
+      length.textContent = `${r.periods} ${unit}`;
+
+      const move = document.createElement("span");
+      move.className = "regime-return";
+      move.textContent = Number.isFinite(r.returnPct) ? `${r.returnPct >= 0 ? "+" : ""}${fmtPct(r.returnPct)}` : "-";
+
+      row.append(state, span, length, move);
+      return row;
+    });
+  if (!rows.length) {
+    const empty = document.createElement("div");
+    empty.className = "regime-row";
+    empty.textContent = "No regime change in the loaded history.";
+    rows.push(empty);
+  }
+  container.replaceChildren(...rows);
+}
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+// cli.js
+// btc-signal: compute the short-term MACD and mid-term M2 signals from the terminal.
+//
+// Usage: btc-signal [--format table|json] [--asset BTC] [--timespan 10years] [--series-id M2SL]
+//                   [--liquidity m2|net] [--interval monthly] [--as-of YYYY-MM-DD] [--vintage latest|first|YYYY-MM-DD]
+//                   [--aggregation avg|eop|sum] [--strict] [--proxy http://localhost:8787]
+//
+// Without --proxy, data comes straight from blockchain.info and FRED (needs FRED_API_KEY).
+// Exit codes: 0 ok, 2 bad arguments, 3 data fetch failed, 4 signal could not be computed.
+
+import { parseArgs } from "node:util";
+import {
+  AGGREGATION_METHODS,
+  LIQUIDITY_MODES,
+  dailySeriesAsOf,
+  fetchObservations,
+  getMarketPriceDaily,
+  isAppError,
+  liquidityFor,
+  midTermSeriesIds,
+  vintageAsOf,
+  vintageParams,
+} from "./app.js";
+import { buildSignalDocument } from "./signal.js";
+import { windowFor } from "./sources.js";
+
+const BTC_DIRECT_URL = "https://api.blockchain.info/charts/market-price";
+
+const EXIT = { OK: 0, USAGE: 2, FETCH: 3, COMPUTE: 4 };
+
+const HELP = `Usage: btc-signal [options]
+
+Options:
+  --format <table|json>   Output format (default: table)
+  --asset <id>            Asset to analyse; non-BTC assets need --proxy (default: BTC)
+  --timespan <span>       blockchain.info timespan, e.g. 5years (default: 10years)
+  --series-id <id>        FRED series for the mid-term rule (default: M2SL)
+  --liquidity <m>         Mid-term measure: m2 (the --series-id series) or net
+                          (Fed balance sheet - TGA - reverse repo) (default: m2)
+  --interval <i>          Short-term candles: daily, weekly, monthly (default: monthly)
+  --as-of <YYYY-MM-DD>    Only use data dated on or before this day, and FRED data
+                          as published that day
+  --vintage <v>           FRED data release: latest (revised), first (initial releases)
+                          or YYYY-MM-DD (as published that day) (default: latest)
+  --aggregation <m>       Collapse sub-monthly FRED data by avg, eop or sum (default: avg)
+  --strict                Refuse to compute on stale, gapped or invalid data (exit 4)
+  --proxy <origin>        Fetch through a running proxy.js instead of the upstream APIs
+  --api-key <key>         FRED API key (default: FRED_API_KEY env)
+  -h, --help              Show this help
+
+Exit codes: 0 ok, 2 bad arguments, 3 data fetch failed, 4 signal could not be computed.`;
+
+function fail(code, message) {
+  process.stderr.write(`btc-signal: ${message}\n`);
+  process.exit(code);
+}
+
+function readOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        format: { type: "string", default: "table" },
+        asset: { type: "string", default: "BTC" },
+        timespan: { type: "string", default: "10years" },
+        "series-id": { type: "string", default: "M2SL" },
+        liquidity: { type: "string", default: "m2" },
+        interval: { type: "string", default: "monthly" },
+        "as-of": { type: "string" },
+        vintage: { type: "string", default: "latest" },
+        aggregation: { type: "string", default: "avg" },
+        strict: { type: "boolean", default: false },
+        proxy: { type: "string" },
+        "api-key": { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (e) {
+    fail(EXIT.USAGE, `${e.message}\n\n${HELP}`);
+  }
+
+  const opts = parsed.values;
+  if (opts.help) {
+    process.stdout.write(`${HELP}\n`);
+    process.exit(EXIT.OK);
+  }
+  if (!["table", "json"].includes(opts.format)) fail(EXIT.USAGE, `unknown --format "${opts.format}"`);
+  opts.asset = opts.asset.toUpperCase();
+  if (opts.asset !== "BTC" && !opts.proxy) fail(EXIT.USAGE, "--asset other than BTC requires --proxy");
+  const asOf = opts["as-of"];
+  if (asOf && (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(asOf)))) {
+    fail(EXIT.USAGE, `--as-of must be YYYY-MM-DD, got "${asOf}"`);
+  }
+  try {
+    vintageParams(opts.vintage);
+  } catch (e) {
+    fail(EXIT.USAGE, `--vintage: ${e.message}`);
+  }
+  if (!AGGREGATION_METHODS.includes(opts.aggregation)) fail(EXIT.USAGE, `unknown --aggregation "${opts.aggregation}"`);
+  if (!LIQUIDITY_MODES.includes(opts.liquidity)) fail(EXIT.USAGE, `unknown --liquidity "${opts.liquidity}"`);
+  return opts;
+}
+
+async function loadPayloads(opts) {
+  const proxy = opts.proxy?.replace(/\/+$/, "");
+  const apiKey = opts["api-key"] || process.env.FRED_API_KEY || "";
+  const asOf = opts["as-of"];
+  // blockchain.info has no end bound: it counts the timespan forward from start
+  const start =
+    asOf && !proxy
+      ? new Date(windowFor({ timespan: opts.timespan, end: asOf }).startSec * 1000).toISOString().slice(0, 10)
+      : undefined;
+
+  const btcPayload = await getMarketPriceDaily({
+    asset: opts.asset,
+    timespan: opts.timespan,
+    start,
+    end: asOf,
+    baseUrl: !proxy ? BTC_DIRECT_URL : opts.asset === "BTC" ? `${proxy}/btc` : `${proxy}/prices`,
+  });
+  const fredPayloads = {};
+  for (const seriesId of midTermSeriesIds({ seriesId: opts["series-id"], liquidity: liquidityFor(opts.liquidity) })) {
+    const observations = await fetchObservations({
+      proxyUrl: proxy ? `${proxy}/fred` : "",
+      apiKey: proxy ? "" : apiKey,
+      seriesId,
+      vintage: vintageAsOf(opts.vintage, asOf),
+      end: asOf,
+    });
+    fredPayloads[seriesId] = { observations };
+  }
+  return { btcPayload, fredPayloads };
+}
+
+function formatTable(doc) {
+  const pp = (x) => `${x >= 0 ? "+" : ""}${x.toFixed(2)} pp`;
+  const cross = (c) => (c && c.dir !== "none" ? `last cross ${c.dir} ${c.at}` : "no cross");
+  const conf = (c) => (Number.isFinite(c) ? `, ${Math.round(c * 100)}% confidence` : "");
+  const rows = [["Horizon", "Signal", "Detail"]];
+
+  rows.push([
+    "short",
+    doc.shortTerm.signal.toUpperCase(),
+    `${cross(doc.shortTerm.lastCross)} (${doc.shortTerm.meta}${conf(doc.shortTerm.confidence)})`,
+  ]);
+  for (const tf of doc.shortTerm.timeframes) {
+    rows.push([`  ${tf.interval}`, tf.signal.toUpperCase(), cross(tf.lastCross)]);
+  }
+  const { score, votes } = doc.shortTerm.consensus;
+  const tally = votes.map((v) => `${v.id} ${v.vote == null ? "n/a" : v.vote > 0 ? "+" : v.vote < 0 ? "-" : "0"}`);
+  rows.push(["  consensus", score == null ? "N/A" : `${score > 0 ? "+" : ""}${score}`, tally.join(", ")]);
+  const { latest, prior, deltaPp } = doc.midTerm;
+  const measure = doc.midTerm.seriesId ?? "Net liquidity";
+  rows.push([
+    "mid",
+    doc.midTerm.signal.toUpperCase(),
+    `${measure} YoY ${latest.yoyPct.toFixed(2)}% (${latest.month}) vs ${prior.yoyPct.toFixed(2)}% (${prior.month}), ${pp(deltaPp)}${conf(doc.midTerm.confidence)}`,
+  ]);
+  rows.push(["combined", doc.combined.status.toUpperCase(), doc.combined.signal ? doc.combined.signal : ""]);
+  for (const [name, data] of Object.entries(doc.data)) {
+    const { status, issues } = data.health;
+    rows.push([`data ${name}`, status.toUpperCase(), issues.map((i) => i.message).join(" ")]);
+  }
+
+  const widths = [0, 1].map((c) => Math.max(...rows.map((r) => r[c].length)));
+  const lines = rows.map((r) => `${r[0].padEnd(widths[0])}  ${r[1].padEnd(widths[1])}  ${r[2]}`.trimEnd());
+  const asOf = doc.asOf ? ` as of ${doc.asOf}` : "";
+  lines.push("", `${doc.asset} data to ${doc.data.btc.lastPointAt}, ${measure} to ${doc.data.fred.lastObservationDate}${asOf}`);
+  return lines.join("\n");
+}
+
+async function main() {
+  const opts = readOptions(process.argv.slice(2));
+
+  let payloads;
+  try {
+    payloads = await loadPayloads(opts);
+  } catch (e) {
+    const msg = isAppError(e) ? `${e.code}: ${e.message}` : String(e?.message || e);
+    fail(EXIT.FETCH, msg);
+  }
+
+  const asOf = opts["as-of"] ?? null;
+  // the mid-term core truncates the FRED series itself
+  if (asOf) {
+    payloads.btcPayload = { ...payloads.btcPayload, values: dailySeriesAsOf(payloads.btcPayload.values, asOf) };
+  }
+
+  let doc;
+  try {
+    doc = buildSignalDocument({
+      ...payloads,
+      asset: opts.asset,
+      seriesId: opts["series-id"],
+      liquidity: opts.liquidity,
+      aggregation: opts.aggregation,
+      vintage: vintageAsOf(opts.vintage, asOf),
+      strict: opts.strict,
+      strategy: { interval: opts.interval },
+      asOf,
+    });
+  } catch (e) {
+    if (isAppError(e) && e.code === "BAD_STRATEGY") fail(EXIT.USAGE, `unknown --interval "${opts.interval}"`);
+    const msg = isAppError(e) ? `${e.code}: ${e.message}` : String(e?.message || e);
+    fail(EXIT.COMPUTE, msg);
+  }
+
+  process.stdout.write(opts.format === "json" ? `${JSON.stringify(doc, null, 2)}\n` : `${formatTable(doc)}\n`);
+}
+
+main();
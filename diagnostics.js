@@ -0,0 +1,70 @@
+// diagnostics.js
+// Collapsible diagnostics drawer: the recent entries of a log buffer (see
+// logger.js) and the full normalized error of each card that last failed.
+
+const MAX_ROWS = 100;
+
+function timeOf(iso) {
+  return String(iso).slice(11, 23);
+}
+
+function entryRow(entry) {
+  const row = document.createElement("div");
+  row.className = `diagnostics-row diagnostics-${entry.level}`;
+
+  const time = document.createElement("span");
+  time.textContent = timeOf(entry.time);
+  const tag = document.createElement("span");
+  tag.textContent = entry.tag;
+  const msg = document.createElement("span");
+  msg.className = "diagnostics-msg";
+  msg.textContent = entry.msg;
+  const ms = document.createElement("span");
+  ms.className = "diagnostics-ms";
+  ms.textContent = entry.data?.ms != null ? `${entry.data.ms} ms` : "";
+
+  if (entry.data !== undefined) row.title = JSON.stringify(entry.data, null, 2);
+  row.append(time, tag, msg, ms);
+  return row;
+}
+
+// `count` (optional) shows how many warnings and errors are in the buffer.
+export function initDiagnostics({ buffer, log, errors, count, clearBtn }) {
+  const cardErrors = new Map();
+
+  function renderErrors() {
+    const blocks = Array.from(cardErrors, ([card, err]) => {
+      const block = document.createElement("pre");
+      block.className = "diagnostics-error";
+      block.textContent = `${card}: ${JSON.stringify(err, null, 2)}`;
+      return block;
+    });
+    errors.replaceChildren(...blocks);
+  }
+
+  function renderLog() {
+    const entries = buffer.entries();
+    log.replaceChildren(...entries.slice(-MAX_ROWS).reverse().map(entryRow));
+    if (count) {
+      const problems = entries.filter((e) => e.level === "error" || e.level === "warn").length;
+      count.textContent = problems ? `(${problems})` : "";
+    }
+  }
+
+  buffer.subscribe(renderLog);
+  clearBtn?.addEventListener("click", () => {
+    buffer.clear();
+    cardErrors.clear();
+    renderErrors();
+  });
+  renderLog();
+
+  return {
+    // err = null clears the card's entry after a successful run
+    setError(card, err) {
+      if (err) cardErrors.set(card, err);
+      else cardErrors.delete(card);
+      renderErrors();
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// events.js
+// Server-Sent Events hub for proxy.js. Open dashboards subscribe to /events and
+// re-read their data when an upstream refresh lands, so any number of tabs share
+// one upstream poll instead of each running its own. CORS headers are set by
+// the caller before connect().
+
+const HEARTBEAT = ": keep-alive\n\n";
+
+// refresh: async () => void, run every `intervalMs` while at least one client
+// is connected; whatever it refreshes is announced through publish().
+export function createEventHub({ intervalMs = 60 * 1000, refresh, log = console }) {
+  const clients = new Set();
+  let timer = null;
+  let nextId = 1;
+
+  function write(res, chunk) {
+    try {
+      res.write(chunk);
+    } catch {
+      clients.delete(res);
+    }
+  }
+
+  async function tick() {
+    for (const res of clients) write(res, HEARTBEAT);
+    try {
+      await refresh();
+    } catch (e) {
+      log.error(`Event refresh failed: ${String(e?.message || e)}`);
+    }
+  }
+
+  function schedule() {
+    if (timer || !clients.size) return;
+    timer = setInterval(tick, intervalMs);
+  }
+
+  function unschedule() {
+    if (clients.size) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function connect(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-store",
+      Connection: "keep-alive",
+    });
+    // tell the browser how long to wait before reconnecting after a drop
+    res.write(`retry: ${Math.min(intervalMs, 30000)}\n\n`);
+    clients.add(res);
+    schedule();
+    req.on("close", () => {
+      clients.delete(res);
+      unschedule();
+    });
+  }
+
+  function publish(event, data) {
+    if (!clients.size) return;
+    const chunk = `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) write(res, chunk);
+  }
+
+  return {
+    connect,
+    publish,
+    get size() {
+      return clients.size;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// fixtures.js
+// Record/replay storage for upstream payloads, so proxy.js can run without network access.
+// Files are plain upstream JSON, one per route and query, e.g. fixtures/fred/series_id=M2SL.json
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const PROXY_MODES = new Set(["live", "record", "replay"]);
+
+// Only params that select a different dataset are part of the name. Rolling
+// date windows such as FRED's default observation_start are left out so a
+// replay keeps matching the recording month after month; explicit bounds
+// (as-of views) are kept.
+const FIXTURE_PARAMS = {
+  "/btc": ["timespan", "sampled", "start", "end"],
+  "/prices": ["asset", "timespan", "start", "end"],
+  "/spot": ["asset"],
+  "/fred": ["series_id", "observation_start", "observation_end", "realtime_start", "realtime_end", "output_type"],
+};
+
+export function fixturePath(dir, route, params) {
+  const keys = FIXTURE_PARAMS[route] || [];
+  const parts = keys.filter((k) => params.has(k)).map((k) => `${k}=${params.get(k)}`);
+  const name = parts.length ? parts.join("&") : "default";
+  return path.join(dir, route.replace(/^\//, ""), `${name.replace(/[^\w.=&-]/g, "_")}.json`);
+}
+
+export async function readFixture(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+export async function writeFixture(file, text) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // re-indent so recordings diff cleanly when committed
+  await fs.writeFile(file, `${JSON.stringify(JSON.parse(text), null, 2)}\n`);
+}
@@ -0,0 +1,75 @@
+// live.js
+// Keeps the dashboard current without page reloads. Subscribes to the proxy's
+// /events stream and refreshes when new upstream data lands; when the stream is
+// unavailable it falls back to polling every `intervalMs`. intervalMs = 0 turns
+// automatic refresh off (manual refreshNow() still works).
+
+export function createRefreshLoop({ refresh, intervalMs = 5 * 60 * 1000, eventsUrl = "/events", onMode }) {
+  let interval = intervalMs;
+  let timer = null;
+  let source = null;
+  let mode = null;
+  let opened = false;
+
+  function setMode(next) {
+    if (next === mode) return;
+    mode = next;
+    onMode?.(mode, interval);
+  }
+
+  function poll() {
+    clearInterval(timer);
+    timer = setInterval(() => refresh({ reason: "poll" }), interval);
+    setMode("poll");
+  }
+
+  function subscribe() {
+    if (!eventsUrl || typeof EventSource === "undefined") return poll();
+    source = new EventSource(eventsUrl);
+    source.addEventListener("open", () => {
+      clearInterval(timer);
+      timer = null;
+      setMode("push");
+      // after a dropped connection, catch up on anything missed meanwhile
+      if (opened) refresh({ reason: "reconnect" });
+      opened = true;
+    });
+    source.addEventListener("update", (evt) => {
+      let data = {};
+      try {
+        data = JSON.parse(evt.data);
+      } catch {
+        // malformed event: refresh everything
+      }
+      refresh({ reason: "push", ...data });
+    });
+    // EventSource keeps retrying on its own; poll until it reconnects.
+    source.addEventListener("error", () => {
+      if (mode !== "poll") poll();
+    });
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    source?.close();
+    source = null;
+    opened = false;
+    setMode("off");
+  }
+
+  function start() {
+    stop();
+    if (interval > 0) subscribe();
+  }
+
+  return {
+    start,
+    stop,
+    setIntervalMs(ms) {
+      interval = Number(ms) || 0;
+      start();
+    },
+    refreshNow: () => refresh({ reason: "manual" }),
+  };
+}
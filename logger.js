@@ -0,0 +1,122 @@
+// logger.js
+// Shared structured logger for the dashboard and the proxy. Entries are
+// { time, level, tag, msg, data?, ...context } with api_key values and known
+// secrets masked before any sink sees them. Loggers keep the { info, error }
+// shape every module already takes, so console still works where one is expected.
+
+export const LEVELS = ["debug", "info", "warn", "error"];
+
+// Masks credentials before URLs and messages reach logs or error details:
+// api_key query params (FRED) and any literal secrets passed in.
+export function redactSecrets(text, secrets = []) {
+  let out = String(text).replace(/([?&]api_key=)[^&#\s"']*/gi, "$1REDACTED");
+  for (const secret of secrets) if (secret) out = out.split(secret).join("REDACTED");
+  return out;
+}
+
+// Log data as plain JSON: Error objects keep name/message/code, anything that
+// does not serialize becomes its string form.
+function plainData(data, secrets) {
+  if (data === undefined || data === "") return undefined;
+  const text = JSON.stringify(data, (k, v) =>
+    v instanceof Error ? { name: v.name, message: v.message, ...(v.code ? { code: v.code } : {}) } : v
+  );
+  if (text === undefined) return redactSecrets(String(data), secrets);
+  return JSON.parse(redactSecrets(text, secrets));
+}
+
+// Browser console, in the "[Tag] message" form the modules used before.
+export function consoleSink(entry) {
+  const method = entry.level === "debug" ? "debug" : entry.level;
+  console[method](`[${entry.tag}] ${entry.msg}`, entry.data ?? "");
+}
+
+// One JSON object per line: errors and warnings on stderr, the rest on stdout.
+export function jsonLineSink({
+  out = (line) => process.stdout.write(line),
+  err = (line) => process.stderr.write(line),
+} = {}) {
+  return (entry) => (entry.level === "error" || entry.level === "warn" ? err : out)(`${JSON.stringify(entry)}\n`);
+}
+
+// In-memory ring of recent entries for the diagnostics drawer.
+export function createLogBuffer({ limit = 200 } = {}) {
+  const entries = [];
+  const listeners = new Set();
+  return {
+    sink(entry) {
+      entries.push(entry);
+      if (entries.length > limit) entries.splice(0, entries.length - limit);
+      for (const fn of listeners) fn(entry);
+    },
+    entries: () => entries.slice(),
+    clear() {
+      entries.length = 0;
+      for (const fn of listeners) fn(null);
+    },
+    // fn(entry) on every new entry, fn(null) on clear; returns unsubscribe
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+// `secrets` and `context` are functions so late-bound values (an api key read
+// after startup, the current request id) are picked up per entry.
+export function createLogger({
+  tag = "app",
+  level = "info",
+  sinks = [consoleSink],
+  secrets = () => [],
+  context = () => ({}),
+} = {}) {
+  const min = Math.max(0, LEVELS.indexOf(level));
+
+  function write(lvl, msg, data) {
+    if (LEVELS.indexOf(lvl) < min) return;
+    const keys = secrets();
+    const entry = {
+      time: new Date().toISOString(),
+      level: lvl,
+      tag,
+      msg: redactSecrets(msg, keys),
+      ...context(),
+    };
+    const plain = plainData(data, keys);
+    if (plain !== undefined) entry.data = plain;
+    for (const sink of sinks) {
+      try {
+        sink(entry);
+      } catch {
+        // a broken sink must not break the caller
+      }
+    }
+  }
+
+  return {
+    debug: (msg, data) => write("debug", msg, data),
+    info: (msg, data) => write("info", msg, data),
+    warn: (msg, data) => write("warn", msg, data),
+    error: (msg, data) => write("error", msg, data),
+    // same sinks and settings under another module tag
+    child: (childTag) => createLogger({ tag: childTag, level, sinks, secrets, context }),
+  };
+}
+
+const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+// Runs one fetch or compute step and logs how long it took. Works with any
+// { info, warn? } logger, or none.
+export async function timed(log, step, fn) {
+  const t0 = now();
+  const ms = () => Math.round(now() - t0);
+  try {
+    const out = await fn();
+    log?.info?.(`${step} done`, { ms: ms() });
+    return out;
+  } catch (err) {
+    log?.warn?.(`${step} failed`, { ms: ms(), error: err?.code ?? err?.message ?? String(err) });
+    throw err;
+  }
+}
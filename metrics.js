@@ -0,0 +1,125 @@
+// metrics.js
+// In-process metrics for proxy.js in the Prometheus text exposition format
+// (version 0.0.4): counters, gauges and histograms with labels, rendered on
+// demand by the /metrics route. No client library needed.
+
+// Seconds; suits upstream calls from a few ms to the default 10s timeout.
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(names, values) {
+  if (!names.length) return "";
+  return `{${names.map((n, i) => `${n}="${escapeLabel(values[i])}"`).join(",")}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isNaN(v) ? "NaN" : String(v);
+}
+
+// One metric family: samples keyed by their label values in declaration order.
+function family(labelNames) {
+  const samples = new Map();
+  return {
+    samples,
+    slot(labels = {}, init) {
+      const values = labelNames.map((n) => labels[n] ?? "");
+      const key = JSON.stringify(values);
+      if (!samples.has(key)) samples.set(key, { values, ...init() });
+      return samples.get(key);
+    },
+  };
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+  const collectors = [];
+
+  function register(metric) {
+    if (metrics.some((m) => m.name === metric.name)) throw new Error(`Metric ${metric.name} already registered`);
+    metrics.push(metric);
+    return metric.api;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const f = family(labelNames);
+    return register({
+      name,
+      help,
+      type: "counter",
+      lines: () => Array.from(f.samples.values(), (s) => `${name}${labelText(labelNames, s.values)} ${formatValue(s.value)}`),
+      api: {
+        inc(labels, by = 1) {
+          f.slot(labels, () => ({ value: 0 })).value += by;
+        },
+      },
+    });
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const f = family(labelNames);
+    return register({
+      name,
+      help,
+      type: "gauge",
+      lines: () => Array.from(f.samples.values(), (s) => `${name}${labelText(labelNames, s.values)} ${formatValue(s.value)}`),
+      api: {
+        set(labels, value) {
+          f.slot(labels, () => ({ value: 0 })).value = value;
+        },
+      },
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const f = family(labelNames);
+    return register({
+      name,
+      help,
+      type: "histogram",
+      lines: () =>
+        Array.from(f.samples.values()).flatMap((s) => {
+          const bucketNames = [...labelNames, "le"];
+          return [
+            ...bounds.map((le, i) => `${name}_bucket${labelText(bucketNames, [...s.values, le])} ${s.counts[i]}`),
+            `${name}_bucket${labelText(bucketNames, [...s.values, "+Inf"])} ${s.count}`,
+            `${name}_sum${labelText(labelNames, s.values)} ${formatValue(s.sum)}`,
+            `${name}_count${labelText(labelNames, s.values)} ${s.count}`,
+          ];
+        }),
+      api: {
+        observe(labels, value) {
+          const s = f.slot(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+          bounds.forEach((le, i) => {
+            if (value <= le) s.counts[i] += 1;
+          });
+          s.sum += value;
+          s.count += 1;
+        },
+      },
+    });
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    // fn() runs before every render, for values computed at scrape time
+    onCollect(fn) {
+      collectors.push(fn);
+    },
+    render() {
+      for (const fn of collectors) fn();
+      const out = [];
+      for (const m of metrics) {
+        out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines());
+      }
+      return `${out.join("\n")}\n`;
+    },
+  };
+}
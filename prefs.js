@@ -0,0 +1,219 @@
+// prefs.js
+// Dashboard preferences: which cards show and their labels, the asset, the
+// FRED source and strategy overrides. Saved in localStorage and shareable as
+// a URL hash (#asset=ETH&cards=short,mid&macd=8,21,5). A hash wins over the
+// saved copy, so a shared link opens the sender's view until you save your
+// own. The FRED api key and the proxy it is sent to are kept in localStorage
+// only: a link that could set the proxy could redirect the viewer's key.
+
+import { DEFAULT_STRATEGY, LIQUIDITY_MODES, resolveStrategy } from "./app.js";
+
+export const CARDS = ["short", "mid", "backtest", "export"];
+const STORAGE_KEY = "market-sentiment:prefs";
+
+export const DEFAULT_PREFS = Object.freeze({
+  asset: "BTC",
+  cards: Object.freeze([...CARDS]),
+  labels: Object.freeze({ short: "Short Term (1-12 Weeks)", mid: "Mid Term (3-6 Months)" }),
+  liquidity: "m2",
+  seriesId: "M2SL",
+  proxyUrl: "/fred",
+  apiKey: "",
+  refreshMs: 5 * 60 * 1000,
+  strict: false,
+  // partial overrides of DEFAULT_STRATEGY (see resolveStrategy)
+  strategy: Object.freeze({}),
+});
+
+// Keeps each strategy key that resolves on its own; a bad MACD triple does
+// not cost the saved interval or bands.
+function strategyOverrides(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const key of Object.keys(DEFAULT_STRATEGY)) {
+    if (raw[key] === undefined) continue;
+    try {
+      resolveStrategy({ [key]: raw[key] });
+      out[key] = raw[key];
+    } catch {
+      // invalid: falls back to the default
+    }
+  }
+  return out;
+}
+
+// Any partial or stale object (old localStorage, hand-edited hash) becomes a
+// complete, valid preference set.
+export function normalizePrefs(raw) {
+  const p = raw && typeof raw === "object" ? raw : {};
+  const text = (v, fallback) => (typeof v === "string" && v.trim() ? v.trim() : fallback);
+  const labels = p.labels && typeof p.labels === "object" ? p.labels : {};
+  return {
+    asset: text(p.asset, DEFAULT_PREFS.asset).toUpperCase(),
+    cards: Array.isArray(p.cards) ? CARDS.filter((c) => p.cards.includes(c)) : [...DEFAULT_PREFS.cards],
+    labels: {
+      short: text(labels.short, DEFAULT_PREFS.labels.short),
+      mid: text(labels.mid, DEFAULT_PREFS.labels.mid),
+    },
+    liquidity: LIQUIDITY_MODES.includes(p.liquidity) ? p.liquidity : DEFAULT_PREFS.liquidity,
+    seriesId: text(p.seriesId, DEFAULT_PREFS.seriesId).toUpperCase(),
+    // an empty proxy is allowed: with an api key the card calls FRED directly
+    proxyUrl: typeof p.proxyUrl === "string" ? p.proxyUrl.trim() : DEFAULT_PREFS.proxyUrl,
+    apiKey: typeof p.apiKey === "string" ? p.apiKey.trim() : "",
+    refreshMs: Number.isInteger(p.refreshMs) && p.refreshMs >= 0 ? p.refreshMs : DEFAULT_PREFS.refreshMs,
+    strict: p.strict === true,
+    strategy: strategyOverrides(p.strategy),
+  };
+}
+
+const numberList = (s) => String(s).split(",").map((n) => (n.trim() === "" ? NaN : Number(n)));
+
+// Only what differs from the defaults goes into the link, so shared URLs stay
+// short and pick up future default changes for everything else.
+export function prefsToHash(prefs) {
+  const p = normalizePrefs(prefs);
+  const d = DEFAULT_PREFS;
+  const params = new URLSearchParams();
+  if (p.asset !== d.asset) params.set("asset", p.asset);
+  if (p.cards.join(",") !== d.cards.join(",")) params.set("cards", p.cards.join(",") || "none");
+  if (p.labels.short !== d.labels.short) params.set("short_label", p.labels.short);
+  if (p.labels.mid !== d.labels.mid) params.set("mid_label", p.labels.mid);
+  if (p.liquidity !== d.liquidity) params.set("liquidity", p.liquidity);
+  if (p.seriesId !== d.seriesId) params.set("series", p.seriesId);
+  if (p.refreshMs !== d.refreshMs) params.set("refresh", String(p.refreshMs / 1000));
+  if (p.strict) params.set("strict", "1");
+
+  const s = p.strategy;
+  if (s.macd) {
+    const macd = { ...DEFAULT_STRATEGY.macd, ...s.macd };
+    params.set("macd", [macd.fast, macd.slow, macd.signal].join(","));
+  }
+  if (s.interval) params.set("interval", s.interval);
+  if (s.yoyLagMonths) params.set("lag", String(s.yoyLagMonths));
+  if (s.neutralBand) {
+    const band = { ...DEFAULT_STRATEGY.neutralBand, ...s.neutralBand };
+    params.set("band", [band.macdPct, band.yoyPp].join(","));
+  }
+  if (s.indicators) {
+    params.set("weights", Object.entries(s.indicators).map(([id, w]) => `${id}:${w}`).join(","));
+  }
+  const hash = params.toString();
+  return hash ? `#${hash}` : "";
+}
+
+// The inverse of prefsToHash, as a partial: only keys present in the hash.
+// Unknown keys are ignored; bad values are dropped by normalizePrefs.
+export function prefsFromHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const out = {};
+  const labels = {};
+  const strategy = {};
+
+  if (params.has("asset")) out.asset = params.get("asset");
+  if (params.has("cards")) out.cards = params.get("cards").split(",");
+  if (params.has("short_label")) labels.short = params.get("short_label");
+  if (params.has("mid_label")) labels.mid = params.get("mid_label");
+  if (params.has("liquidity")) out.liquidity = params.get("liquidity");
+  if (params.has("series")) out.seriesId = params.get("series");
+  if (params.has("refresh")) out.refreshMs = Number(params.get("refresh")) * 1000;
+  if (params.has("strict")) out.strict = params.get("strict") === "1";
+
+  if (params.has("macd")) {
+    const [fast, slow, signal] = numberList(params.get("macd"));
+    strategy.macd = { fast, slow, signal };
+  }
+  if (params.has("interval")) strategy.interval = params.get("interval");
+  if (params.has("lag")) strategy.yoyLagMonths = Number(params.get("lag"));
+  if (params.has("band")) {
+    const [macdPct, yoyPp] = numberList(params.get("band"));
+    strategy.neutralBand = { macdPct, yoyPp };
+  }
+  if (params.has("weights")) {
+    strategy.indicators = Object.fromEntries(
+      params.get("weights").split(",").map((pair) => {
+        const [id, w] = pair.split(":");
+        return [id.trim(), w === undefined || w.trim() === "" ? NaN : Number(w)];
+      })
+    );
+  }
+
+  if (Object.keys(labels).length) out.labels = labels;
+  if (Object.keys(strategy).length) out.strategy = strategy;
+  return out;
+}
+
+// Layers preference partials left to right; labels and strategy merge by key.
+export function mergePrefs(...layers) {
+  const out = {};
+  for (const layer of layers) {
+    if (!layer || typeof layer !== "object") continue;
+    Object.assign(out, layer, {
+      labels: { ...out.labels, ...layer.labels },
+      strategy: { ...out.strategy, ...layer.strategy },
+    });
+  }
+  return normalizePrefs(out);
+}
+
+// Browser store. `storage`, `location` and `history` default to the page's
+// and can be swapped for in-memory versions.
+export function createPrefsStore({
+  storage = globalThis.localStorage,
+  location = globalThis.location,
+  history = globalThis.history,
+  key = STORAGE_KEY,
+} = {}) {
+  function saved() {
+    try {
+      return JSON.parse(storage?.getItem(key) ?? "null") ?? {};
+    } catch {
+      return {};
+    }
+  }
+
+  function setHash(hash) {
+    if (!location) return;
+    history?.replaceState(null, "", `${location.pathname}${location.search}${hash}`);
+  }
+
+  return {
+    // defaults < saved < link; a shared link never carries an api key or a
+    // proxy, so the viewer's own key still applies and only goes where they saved
+    load() {
+      return mergePrefs(saved(), prefsFromHash(location?.hash));
+    },
+
+    // true when the page was opened from a link that changes the saved view
+    isShared() {
+      return Object.keys(prefsFromHash(location?.hash)).length > 0;
+    },
+
+    // Writes the full set and rewrites the hash to match, so the address bar
+    // is always a link to what is on screen.
+    save(prefs) {
+      const p = normalizePrefs(prefs);
+      try {
+        storage?.setItem(key, JSON.stringify(p));
+      } catch {
+        // storage full or disabled (private mode): the hash still carries it
+      }
+      setHash(prefsToHash(p));
+      return p;
+    },
+
+    reset() {
+      try {
+        storage?.removeItem(key);
+      } catch {
+        // nothing saved
+      }
+      setHash("");
+      return normalizePrefs({});
+    },
+
+    shareUrl(prefs) {
+      const base = location ? `${location.origin}${location.pathname}${location.search}` : "";
+      return `${base}${prefsToHash(prefs)}`;
+    },
+  };
+}
@@ -1,18 +1,61 @@
 // proxy.js
-// Minimal FRED proxy that adds CORS.
+// Minimal FRED proxy that adds CORS and caches upstream responses on disk.
 // Run: node proxy.js
 // Then your frontend calls: http://localhost:8787/fred?series_id=M2SL (uses FRED_API_KEY env)
+// Other assets: http://localhost:8787/prices?asset=ETH (list: /assets; local CSVs from ./prices, PRICE_CSV_DIR)
+// Spreadsheet export: http://localhost:8787/export?format=csv|json (one row per month, same params as /signal)
+// Signal history: http://localhost:8787/history (every MACD cross and M2 regime change, same params as /signal)
+// Intraday quote for the in-progress candle: http://localhost:8787/spot?asset=BTC
+// Bots and notebooks call: http://localhost:8787/signal?series_id=M2SL (full computation as JSON;
+// add intraday=1 for the provisional in-progress candle state, strict=1 to refuse stale or gapped data)
+// Real-time data: /fred passes realtime_start, realtime_end and output_type (1 or 4) to ALFRED;
+// /signal takes vintage=latest|first|YYYY-MM-DD and aggregation=avg|eop|sum instead.
+// /signal and /history take liquidity=m2 (series_id, default) or net (the net liquidity composite).
+// Date bounds (YYYY-MM-DD): /btc and /prices take start and end, /fred takes observation_start and
+// observation_end (default: six years back from the end); /signal and /export take as_of
+// (FRED data then comes from the vintage published on that day).
+// Cache: responses land in ./.cache (CACHE_DIR); tune with CACHE_TTL_BTC_MS, CACHE_TTL_FRED_MS, CACHE_SWR_MS.
+// Alerts: ALERT_WEBHOOKS=url1,url2 recomputes /signal every ALERT_INTERVAL_MS and POSTs state changes;
+// last state lives in ./.state/alerts.json (ALERT_STATE_FILE). ALERT_SIGNAL_PARAMS takes /signal query params,
+// e.g. liquidity=net to alert on the same measure the dashboard shows.
+// Fixtures: PROXY_MODE=record saves upstream JSON under ./fixtures (FIXTURES_DIR); PROXY_MODE=replay serves
+// only those files, with no network or FRED_API_KEY needed.
+// Live updates: /events is a Server-Sent Events stream; while a dashboard is subscribed the proxy
+// re-checks the data it has served every EVENTS_INTERVAL_MS and sends an "update" event on new data.
+// Response headers X-Cache (HIT/STALE/MISS/FALLBACK) and Age tell where the body came from.
+// Shared hosts: upstream calls time out after UPSTREAM_TIMEOUT_MS and retry UPSTREAM_RETRIES times with
+// backoff; each client gets RATE_LIMIT_PER_MIN API requests a minute (0 = off; TRUST_PROXY=1 reads the
+// client from X-Forwarded-For); CORS_ORIGINS=https://a.example,... limits cross-origin pages (default *).
+// API keys are redacted from errors and logs. /health reports upstream reachability (503 when degraded).
+// Logs are JSON lines (LOG_LEVEL=debug|info|warn|error) carrying the request id, which is taken from an
+// incoming X-Request-Id or generated, and echoed back in the X-Request-Id response header.
+// /metrics serves Prometheus text: requests by route and status, upstream latency and errors, the
+// latest computed states and the age of the newest data point per series. Like /health it is exempt
+// from the rate limit.
+// .env is read once at startup; variables already set in the environment win.
 
 import http from "node:http";
 import fs from "node:fs/promises";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
 import path from "node:path";
 import { URL, fileURLToPath } from "node:url";
+import { cacheKey, createDiskCache } from "./cache.js";
+import { PROXY_MODES, fixturePath, readFixture, writeFixture } from "./fixtures.js";
+import { isAppError, liquidityFor, midTermSeriesIds, redactSecrets, vintageAsOf, vintageParams } from "./app.js";
+import { buildSignalDocument, buildSignalHistory } from "./signal.js";
+import { buildSignalTable, tableToCsv } from "./report.js";
+import { createAlertScheduler } from "./alerts.js";
+import { createPriceSources } from "./sources.js";
+import { createEventHub } from "./events.js";
+import { DEFAULT_TIMEOUT_MS, createUpstreamFetcher } from "./upstream.js";
+import { createRateLimiter } from "./ratelimit.js";
+import { createLogger, jsonLineSink } from "./logger.js";
+import { createMetricsRegistry } from "./metrics.js";
 
-const PORT = process.env.PORT || 8787;
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 async function loadEnvFile() {
-  if (process.env.FRED_API_KEY) return;
   try {
     const envPath = path.join(__dirname, ".env");
     const raw = await fs.readFile(envPath, "utf8");
@@ -31,13 +74,276 @@ async function loadEnvFile() {
   }
 }
 
+// before any setting below is read, so .env can hold all of them
+await loadEnvFile();
+
+const PORT = process.env.PORT || 8787;
+const STARTED_AT = Date.now();
+const STATIC_MODULES = new Set([
+  "/app.js",
+  "/backtest.js",
+  "/charts.js",
+  "/diagnostics.js",
+  "/live.js",
+  "/logger.js",
+  "/prefs.js",
+  "/upstream.js",
+  "/validate.js",
+]);
+
+// Entries logged while a request is handled, including upstream retries and
+// cache refreshes it starts, carry its requestId.
+const requestContext = new AsyncLocalStorage();
+const log = createLogger({
+  tag: "proxy",
+  level: process.env.LOG_LEVEL || "info",
+  sinks: [jsonLineSink()],
+  secrets: () => [process.env.FRED_API_KEY],
+  context: () => requestContext.getStore() ?? {},
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+// BTC prices move daily, M2 is released monthly; refresh each accordingly.
+const CACHE_TTL_MS = {
+  btc: Number(process.env.CACHE_TTL_BTC_MS) || 1 * HOUR_MS,
+  fred: Number(process.env.CACHE_TTL_FRED_MS) || 12 * HOUR_MS,
+  spot: Number(process.env.CACHE_TTL_SPOT_MS) || 60 * 1000,
+};
+// How long past its TTL an entry may still be served while a refresh runs.
+const CACHE_SWR_MS = Number(process.env.CACHE_SWR_MS) || 24 * HOUR_MS;
+
+const PROXY_MODE = PROXY_MODES.has(process.env.PROXY_MODE) ? process.env.PROXY_MODE : "live";
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, "fixtures");
+
+// ---- metrics (/metrics) ----
+const metrics = createMetricsRegistry();
+const requestsTotal = metrics.counter("proxy_requests_total", "HTTP requests served, by route and status.", [
+  "route",
+  "status",
+]);
+const upstreamSeconds = metrics.histogram(
+  "proxy_upstream_request_duration_seconds",
+  "Upstream call latency, one observation per attempt (retries included).",
+  ["upstream"]
+);
+const upstreamErrors = metrics.counter(
+  "proxy_upstream_errors_total",
+  "Failed upstream attempts by type: timeout, network, http_429, http_4xx, http_5xx.",
+  ["upstream", "type"]
+);
+const shortTermState = metrics.gauge(
+  "proxy_short_term_state",
+  "1 for the latest computed short-term state of each asset, 0 for the other states.",
+  ["asset", "state"]
+);
+const midTermState = metrics.gauge(
+  "proxy_mid_term_state",
+  "1 for the latest computed mid-term state of each FRED series, 0 for the other states.",
+  ["series", "state"]
+);
+const signalComputedAt = metrics.gauge(
+  "proxy_signal_computed_timestamp_seconds",
+  "When the latest (not as_of) signal was computed."
+);
+const newestPointAt = metrics.gauge(
+  "proxy_series_newest_point_timestamp_seconds",
+  "Time of the newest data point served so far, per series (source = price, spot or fred).",
+  ["source", "series"]
+);
+const newestPointAge = metrics.gauge(
+  "proxy_series_newest_point_age_seconds",
+  "Seconds since the newest data point served so far, per series.",
+  ["source", "series"]
+);
+const uptimeSeconds = metrics.gauge("proxy_uptime_seconds", "Seconds since the proxy started.");
+
+const SIGNAL_STATES = ["bullish", "bearish", "neutral"];
+const UPSTREAM_HOSTS = {
+  "api.stlouisfed.org": "fred",
+  "api.blockchain.info": "blockchain",
+  "api.exchange.coinbase.com": "coinbase",
+};
+const METRIC_ROUTES = new Set([
+  "/fred",
+  "/btc",
+  "/prices",
+  "/assets",
+  "/spot",
+  "/signal",
+  "/export",
+  "/history",
+  "/events",
+  "/health",
+  "/metrics",
+]);
+
+// Bounded label values: unknown paths would otherwise grow the series count.
+function routeLabel(url) {
+  let pathname;
+  try {
+    pathname = new URL(url, "http://localhost").pathname;
+  } catch {
+    return "other";
+  }
+  if (METRIC_ROUTES.has(pathname)) return pathname;
+  if (pathname === "/" || pathname === "/index.html" || STATIC_MODULES.has(pathname)) return "static";
+  return "other";
+}
+
+function upstreamLabel(url) {
+  try {
+    return UPSTREAM_HOSTS[new URL(url).hostname] ?? "other";
+  } catch {
+    return "other";
+  }
+}
+
+function recordUpstreamAttempt({ url, ms, status, error }) {
+  const name = upstreamLabel(url);
+  upstreamSeconds.observe({ upstream: name }, ms / 1000);
+  const type =
+    error ?? (status === 429 ? "http_429" : status >= 500 ? "http_5xx" : status >= 400 ? "http_4xx" : null);
+  if (type) upstreamErrors.inc({ upstream: name, type });
+}
+
+// Newest point of a chart ({ values: [{ x }] }), FRED ({ observations }) or
+// quote ({ at }) payload, in unix seconds; FRED "." values are missing data.
+function newestPointSec(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (Array.isArray(json?.values)) {
+    const xs = json.values.map((v) => Number(v?.x)).filter(Number.isFinite);
+    return xs.length ? Math.max(...xs) : null;
+  }
+  if (Array.isArray(json?.observations)) {
+    const days = json.observations.filter((o) => o?.value !== ".").map((o) => Date.parse(`${o.date}T00:00:00Z`));
+    const newest = Math.max(...days.filter(Number.isFinite));
+    return Number.isFinite(newest) ? newest / 1000 : null;
+  }
+  return Number.isFinite(json?.at) ? json.at : null;
+}
+
+// The newest point ever served per series, so an as_of request for old data
+// does not make a series look stale. Parsed once per cache entry.
+const newestPoints = new Map();
+function trackNewestPoint(request, entry) {
+  if (!request.metricLabels) return;
+  const { source, series } = request.metricLabels;
+  const id = `${source}:${series}`;
+  const seen = newestPoints.get(id);
+  if (seen && entry.fetchedAt != null && seen.parsed.get(request.key) === entry.fetchedAt) return;
+  const sec = newestPointSec(entry.body);
+  const next = seen ?? { source, series, sec: null, parsed: new Map() };
+  next.parsed.set(request.key, entry.fetchedAt);
+  if (sec != null && (next.sec == null || sec > next.sec)) next.sec = sec;
+  newestPoints.set(id, next);
+}
+
+function recordSignalStates(doc) {
+  for (const state of SIGNAL_STATES) {
+    shortTermState.set({ asset: doc.asset, state }, doc.shortTerm.signal === state ? 1 : 0);
+    midTermState.set({ series: doc.midTerm.seriesId, state }, doc.midTerm.signal === state ? 1 : 0);
+  }
+  signalComputedAt.set({}, Date.now() / 1000);
+}
+
+metrics.onCollect(() => {
+  const nowSec = Date.now() / 1000;
+  uptimeSeconds.set({}, Math.floor(nowSec - STARTED_AT / 1000));
+  for (const { source, series, sec } of newestPoints.values()) {
+    if (sec == null) continue;
+    newestPointAt.set({ source, series }, sec);
+    newestPointAge.set({ source, series }, Math.max(0, Math.round(nowSec - sec)));
+  }
+});
+
+const upstream = createUpstreamFetcher({
+  timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  retry: {
+    attempts: 1 + (process.env.UPSTREAM_RETRIES == null ? 2 : Number(process.env.UPSTREAM_RETRIES) || 0),
+  },
+  secrets: () => [process.env.FRED_API_KEY],
+  log: log.child("upstream"),
+  onAttempt: recordUpstreamAttempt,
+});
+
+const priceSources = createPriceSources({
+  fetchText: (url) => upstream.fetchText(url),
+  csvDir: process.env.PRICE_CSV_DIR || path.join(__dirname, "prices"),
+});
+
+const cache = createDiskCache({ dir: process.env.CACHE_DIR || path.join(__dirname, ".cache") });
+// Upstream refreshes in progress, by cache key (see refreshShared).
+const refreshing = new Map();
+
+// Requests served recently, re-checked for /events subscribers. Entries not
+// requested within the SWR window are dropped.
+const watched = new Map();
+
+const events = createEventHub({
+  intervalMs: Number(process.env.EVENTS_INTERVAL_MS) || 60 * 1000,
+  refresh: async () => {
+    if (PROXY_MODE === "replay") return;
+    for (const [key, { request, servedAt }] of watched) {
+      if (Date.now() - servedAt > CACHE_SWR_MS) {
+        watched.delete(key);
+        continue;
+      }
+      await loadThroughCache(request);
+    }
+  },
+  log: log.child("events"),
+});
+
+// Masks FRED_API_KEY and any api_key param in text headed for a client or log.
+function redact(text) {
+  return redactSecrets(text, [process.env.FRED_API_KEY]);
+}
+
+// "*" (default) answers any origin; otherwise only the listed pages, plus the
+// proxy's own origin, get CORS headers and cross-origin API access.
+const CORS_ORIGINS = new Set(
+  (process.env.CORS_ORIGINS || "*").split(",").map((o) => o.trim().replace(/\/$/, "")).filter(Boolean)
+);
+
+function allowedOrigin(req) {
+  if (CORS_ORIGINS.has("*")) return "*";
+  const origin = req.headers.origin;
+  if (!origin) return null;
+  if (CORS_ORIGINS.has(origin) || origin === `http://${req.headers.host}`) return origin;
+  return null;
+}
+
+// Set once per request; writeHead() merges these into every response.
+function applyCors(req, res) {
+  const origin = allowedOrigin(req);
+  if (!CORS_ORIGINS.has("*")) res.setHeader("Vary", "Origin");
+  if (!origin) return false;
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Expose-Headers", "X-Cache, Age, X-Cache-Fetched-At, Retry-After, X-RateLimit-Remaining");
+  return true;
+}
+
+const rateLimiter = createRateLimiter({
+  limit: process.env.RATE_LIMIT_PER_MIN == null ? 120 : Number(process.env.RATE_LIMIT_PER_MIN),
+  windowMs: 60 * 1000,
+});
+
+function clientId(req) {
+  const forwarded = process.env.TRUST_PROXY === "1" ? String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() : "";
+  return forwarded || req.socket.remoteAddress || "unknown";
+}
+
 function sendJson(res, status, obj) {
   const body = JSON.stringify(obj);
   res.writeHead(status, {
     "Content-Type": "application/json; charset=utf-8",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
     "Cache-Control": "no-store",
   });
   res.end(body);
@@ -56,55 +362,575 @@ async function sendFile(res, filePath, contentType) {
   }
 }
 
-http.createServer(async (req, res) => {
-  if (req.method === "OPTIONS") {
-    res.writeHead(204, {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET,OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
-      "Cache-Control": "no-store",
+function fetchUpstream(url) {
+  return upstream.fetchText(url);
+}
+
+async function refreshEntry(request) {
+  const { key, load, fixture } = request;
+  const r = await load();
+  if (!r.ok) return { upstream: r, entry: null };
+  try {
+    JSON.parse(r.text);
+  } catch {
+    return { upstream: { ...r, ok: false }, entry: null };
+  }
+  if (PROXY_MODE === "record") {
+    await writeFixture(fixture, r.text);
+    log.info(`Recorded ${path.relative(__dirname, fixture)}`);
+  }
+  const entry = await cache.set(key, r.text);
+  // background refreshes (SWR, /events) move the data age too
+  trackNewestPoint(request, entry);
+  events.publish("update", { key, route: key.split("?")[0], fetchedAt: new Date(entry.fetchedAt).toISOString() });
+  return { upstream: r, entry };
+}
+
+// One upstream fetch per key at a time: cold misses, expired entries and
+// background revalidations that overlap all await the same refresh.
+function refreshShared(request) {
+  const { key } = request;
+  if (!refreshing.has(key)) {
+    refreshing.set(key, refreshEntry(request).finally(() => refreshing.delete(key)));
+  }
+  return refreshing.get(key);
+}
+
+function revalidateInBackground(request) {
+  refreshShared(request).catch((e) => log.error(`Cache revalidation failed for ${request.key}`, e));
+}
+
+function sendCached(res, entry, cacheState) {
+  const ageSec = Math.max(0, Math.floor((Date.now() - entry.fetchedAt) / 1000));
+  res.writeHead(200, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+    "X-Cache": cacheState,
+    Age: String(ageSec),
+    "X-Cache-Fetched-At": new Date(entry.fetchedAt).toISOString(),
+  });
+  res.end(entry.body);
+}
+
+// Fresh hit -> serve. Stale within the SWR window -> serve and refresh in the
+// background. Otherwise go upstream, falling back to the last good copy if the
+// upstream errors or is rate-limited. Record mode always goes upstream.
+// Resolves to { entry, cacheState } or, when nothing usable exists, { entry: null, upstream }.
+async function loadThroughCache(request) {
+  const { key, ttlMs } = request;
+  const entry = await cache.get(key);
+  const age = entry && PROXY_MODE !== "record" ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (entry && age < ttlMs) return { entry, cacheState: "HIT" };
+  if (entry && age < ttlMs + CACHE_SWR_MS) {
+    revalidateInBackground(request);
+    return { entry, cacheState: "STALE" };
+  }
+
+  let result;
+  try {
+    result = await refreshShared(request);
+  } catch (e) {
+    if (entry) return { entry, cacheState: "FALLBACK" };
+    throw e;
+  }
+
+  if (result.entry) return { entry: result.entry, cacheState: "MISS" };
+  if (entry) return { entry, cacheState: "FALLBACK" };
+  return { entry: null, upstream: result.upstream };
+}
+
+async function loadUpstream(request) {
+  const loaded = await loadUpstreamEntry(request);
+  if (loaded.entry) trackNewestPoint(request, loaded.entry);
+  return loaded;
+}
+
+async function loadUpstreamEntry(request) {
+  if (request.local) {
+    const r = await request.load();
+    return r.ok ? { entry: { body: r.text, fetchedAt: Date.now() }, cacheState: "LOCAL" } : { entry: null, upstream: r };
+  }
+  if (PROXY_MODE !== "replay") return loadThroughCache(request);
+  const body = await readFixture(request.fixture);
+  if (body == null) return { entry: null, upstream: { status: 404, text: "No recorded fixture" } };
+  return { entry: { body, fetchedAt: null }, cacheState: "REPLAY" };
+}
+
+async function serveThroughCache(res, request) {
+  if (!request.local) watched.set(request.key, { request, servedAt: Date.now() });
+  const { entry, cacheState, upstream } = await loadUpstream(request);
+  if (entry) return sendCached(res, entry, cacheState);
+  const { status, text } = upstream;
+  return sendJson(res, status >= 400 ? status : 502, { error: request.errorLabel, status, body: redact(text) });
+}
+
+// BTC keeps its original /btc cache keys and fixture names; other assets
+// live under /prices.
+async function priceRequest(assetId, searchParams, { start, end } = {}) {
+  const source = await priceSources.request(assetId || "BTC", {
+    timespan: searchParams.get("timespan") || "10years",
+    sampled: searchParams.get("sampled") || "false",
+    start,
+    end,
+  });
+  if (!source) return null;
+  const route = source.asset.id === "BTC" ? "/btc" : "/prices";
+  return {
+    key: cacheKey(route, source.params),
+    load: source.load,
+    local: source.local,
+    fixture: fixturePath(FIXTURES_DIR, route, source.params),
+    ttlMs: CACHE_TTL_MS.btc,
+    errorLabel: `${source.asset.id} request failed`,
+    asset: source.asset.id,
+    metricLabels: { source: "price", series: source.asset.id },
+  };
+}
+
+// ALFRED real-time params passed through to FRED. output_type 1 (by real-time
+// period) and 4 (initial release only) keep the { observations } shape; the
+// wide vintage formats do not, so they are refused. Returns null when invalid.
+const FRED_REALTIME_PARAMS = ["realtime_start", "realtime_end", "output_type"];
+
+function fredRealtimeParams(searchParams) {
+  const out = new URLSearchParams();
+  for (const k of FRED_REALTIME_PARAMS) {
+    const v = searchParams.get(k);
+    if (v == null || v === "") continue;
+    const ok = k === "output_type" ? v === "1" || v === "4" : /^\d{4}-\d{2}-\d{2}$/.test(v);
+    if (!ok) return null;
+    out.set(k, v);
+  }
+  return out;
+}
+
+// Optional YYYY-MM-DD window params. Returns { start, end } (either may be
+// undefined) or null when a value is malformed or the window is reversed.
+function dateBounds(searchParams, startName, endName) {
+  const bounds = {};
+  for (const [k, name] of [["start", startName], ["end", endName]]) {
+    const v = name ? searchParams.get(name) : null;
+    if (v == null || v === "") continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || Number.isNaN(Date.parse(v))) return null;
+    bounds[k] = v;
+  }
+  if (bounds.start && bounds.end && bounds.start > bounds.end) return null;
+  return bounds;
+}
+
+function badBounds(res, startName, endName) {
+  return sendJson(res, 400, {
+    error: "Bad date bounds",
+    message: `${startName}/${endName} must be YYYY-MM-DD, with ${startName} not after ${endName}.`,
+  });
+}
+
+async function spotRequest(assetId) {
+  const source = await priceSources.spot(assetId || "BTC");
+  if (!source) return null;
+  return {
+    key: cacheKey("/spot", source.params),
+    load: source.load,
+    fixture: fixturePath(FIXTURES_DIR, "/spot", source.params),
+    ttlMs: CACHE_TTL_MS.spot,
+    errorLabel: `${source.asset.id} quote failed`,
+    metricLabels: { source: "spot", series: source.asset.id },
+  };
+}
+
+function fredRequest(series_id, api_key, realtime = new URLSearchParams(), { start, end } = {}) {
+  // FRED series observations endpoint (JSON)
+  // Docs: /fred/series/observations with file_type=json, series_id, api_key, etc. :contentReference[oaicite:3]{index=3}
+  const until = end ? new Date(`${end}T00:00:00Z`) : new Date();
+  const observation_start =
+    start || new Date(Date.UTC(until.getUTCFullYear() - 6, until.getUTCMonth(), 1)).toISOString().slice(0, 10);
+  const bounds = new URLSearchParams();
+  if (start) bounds.set("observation_start", start);
+  if (end) bounds.set("observation_end", end);
+
+  const fredUrl =
+    `https://api.stlouisfed.org/fred/series/observations` +
+    `?series_id=${encodeURIComponent(series_id)}` +
+    `&api_key=${encodeURIComponent(api_key)}` +
+    `&file_type=json` +
+    `&sort_order=asc` +
+    `&observation_start=${encodeURIComponent(observation_start)}` +
+    (end ? `&observation_end=${encodeURIComponent(end)}` : "") +
+    (realtime.size ? `&${realtime.toString()}` : "");
+
+  const realtimeEntries = Object.fromEntries(realtime);
+  const endEntries = end ? { observation_end: end } : {};
+  return {
+    key: cacheKey("/fred", new URLSearchParams({ series_id, observation_start, ...endEntries, ...realtimeEntries })),
+    load: () => fetchUpstream(fredUrl),
+    fixture: fixturePath(
+      FIXTURES_DIR,
+      "/fred",
+      new URLSearchParams({ series_id, ...Object.fromEntries(bounds), ...realtimeEntries })
+    ),
+    ttlMs: CACHE_TTL_MS.fred,
+    errorLabel: "FRED request failed",
+    metricLabels: { source: "fred", series: series_id },
+  };
+}
+
+// Loads the price and FRED series a signal is computed from. Failures are
+// returned as { status, error } so HTTP and scheduler callers can both use it.
+async function loadSignalInputs(searchParams) {
+  const series_id = searchParams.get("series_id") || "M2SL";
+  const api_key = searchParams.get("api_key") || process.env.FRED_API_KEY;
+  if (!api_key && PROXY_MODE !== "replay") {
+    return {
+      status: 400,
+      error: { error: "Missing api_key", message: "Set FRED_API_KEY env var or pass api_key query param." },
+    };
+  }
+
+  // as_of=YYYY-MM-DD: both series end on that day and FRED data is the
+  // vintage published then (a historical verdict without later revisions)
+  const bounds = dateBounds(searchParams, null, "as_of");
+  if (!bounds) {
+    return { status: 400, error: { error: "Bad date bounds", message: "as_of must be YYYY-MM-DD." } };
+  }
+  const asOf = bounds.end || null;
+
+  const priceReq = await priceRequest(searchParams.get("asset"), searchParams, { end: asOf || undefined });
+  if (!priceReq) return { status: 404, error: { error: "Unknown asset", asset: searchParams.get("asset") } };
+  const liquidity = searchParams.get("liquidity") || "m2";
+  let vintage;
+  let realtime;
+  let seriesIds;
+  try {
+    vintage = vintageAsOf(searchParams.get("vintage") || "latest", asOf);
+    realtime = new URLSearchParams(vintageParams(vintage));
+    seriesIds = midTermSeriesIds({ seriesId: series_id, liquidity: liquidityFor(liquidity) });
+  } catch (e) {
+    return { status: 400, error: { error: e.code, message: e.message, details: e.details } };
+  }
+  const fredReqs = seriesIds.map((id) => fredRequest(id, api_key, realtime, { end: asOf || undefined }));
+  const [btc, ...freds] = await Promise.all([priceReq, ...fredReqs].map((request) => loadUpstream(request)));
+  for (const [loaded, request] of [[btc, priceReq], ...freds.map((fred, i) => [fred, fredReqs[i]])]) {
+    if (loaded.entry) continue;
+    const { status, text } = loaded.upstream;
+    return { status: status >= 400 ? status : 502, error: { error: request.errorLabel, status, body: redact(text) } };
+  }
+  const fredPayloads = Object.fromEntries(seriesIds.map((id, i) => [id, JSON.parse(freds[i].entry.body)]));
+  // a composite reports every cache state it was served from and its oldest copy
+  const fetchedAt = freds.map((f) => f.entry.fetchedAt).filter((t) => t != null);
+  const fredSource = {
+    cache: [...new Set(freds.map((f) => f.cacheState))].join(","),
+    fetchedAt: fetchedAt.length ? Math.min(...fetchedAt) : null,
+  };
+  return { series_id, liquidity, priceReq, btc, freds, fredPayloads, fredSource, asOf, vintage };
+}
+
+function appErrorResult(e) {
+  if (isAppError(e)) {
+    return { status: e.status || 500, error: { error: e.code, message: e.message, details: e.details } };
+  }
+  return { status: 422, error: { error: "SIGNAL_FAILED", message: String(e?.message || e) } };
+}
+
+// Builds the signal document from loadSignalInputs; same failure shape.
+async function computeSignalDocument(searchParams) {
+  const inputs = await loadSignalInputs(searchParams);
+  if (inputs.error) return inputs;
+  const { series_id, liquidity, priceReq, btc, fredPayloads, fredSource, asOf, vintage } = inputs;
+
+  // intraday=1 adds the provisional state; a missing quote only drops that block.
+  // A historical (as_of) document has no in-progress candle.
+  let spotPayload = null;
+  const spotReq = searchParams.get("intraday") === "1" && !asOf ? await spotRequest(priceReq.asset) : null;
+  if (spotReq) {
+    const spot = await loadUpstream(spotReq).catch(() => ({ entry: null }));
+    if (spot.entry) spotPayload = JSON.parse(spot.entry.body);
+  }
+
+  const strategy = {};
+  if (searchParams.has("interval")) strategy.interval = searchParams.get("interval");
+
+  try {
+    const doc = buildSignalDocument({
+      btcPayload: JSON.parse(btc.entry.body),
+      fredPayloads,
+      spotPayload,
+      asset: priceReq.asset,
+      seriesId: series_id,
+      liquidity,
+      aggregation: searchParams.get("aggregation") || undefined,
+      vintage,
+      strict: searchParams.get("strict") === "1",
+      asOf,
+      strategy,
+      sources: {
+        btc: { cache: btc.cacheState, fetchedAt: btc.entry.fetchedAt },
+        fred: fredSource,
+      },
     });
+    // historical documents say nothing about the current state
+    if (!asOf) recordSignalStates(doc);
+    return { status: 200, doc };
+  } catch (e) {
+    return appErrorResult(e);
+  }
+}
+
+// Per-month history table (see report.js) as CSV (default) or JSON.
+async function serveExport(res, u) {
+  if ((u.searchParams.get("liquidity") || "m2") !== "m2") {
+    return sendJson(res, 400, { error: "BAD_LIQUIDITY", message: "/export covers a single series; use series_id." });
+  }
+  const inputs = await loadSignalInputs(u.searchParams);
+  if (inputs.error) return sendJson(res, inputs.status, inputs.error);
+  const { series_id, priceReq, btc, freds, asOf, vintage } = inputs;
+  const [fred] = freds;
+
+  let table;
+  try {
+    table = buildSignalTable({
+      btcPayload: JSON.parse(btc.entry.body),
+      fredPayload: JSON.parse(fred.entry.body),
+      asset: priceReq.asset,
+      seriesId: series_id,
+      aggregation: u.searchParams.get("aggregation") || undefined,
+      vintage,
+      asOf,
+      sources: { btc: btc.entry, fred: fred.entry },
+    });
+  } catch (e) {
+    const { status, error } = appErrorResult(e);
+    return sendJson(res, status, error);
+  }
+
+  const json = u.searchParams.get("format") === "json";
+  const name = `signal-history-${priceReq.asset}-${series_id}${asOf ? `-${asOf}` : ""}.${json ? "json" : "csv"}`;
+  res.writeHead(200, {
+    "Content-Type": json ? "application/json; charset=utf-8" : "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${name}"`,
+    "Cache-Control": "no-store",
+  });
+  res.end(json ? JSON.stringify(table, null, 2) : tableToCsv(table));
+}
+
+async function serveSignal(res, u) {
+  const { status, doc, error } = await computeSignalDocument(u.searchParams);
+  return sendJson(res, status, doc ?? error);
+}
+
+async function serveHistory(res, u) {
+  const inputs = await loadSignalInputs(u.searchParams);
+  if (inputs.error) return sendJson(res, inputs.status, inputs.error);
+  const { series_id, liquidity, priceReq, btc, fredPayloads, asOf, vintage } = inputs;
+
+  const strategy = {};
+  if (u.searchParams.has("interval")) strategy.interval = u.searchParams.get("interval");
+  try {
+    const doc = buildSignalHistory({
+      btcPayload: JSON.parse(btc.entry.body),
+      fredPayloads,
+      asset: priceReq.asset,
+      seriesId: series_id,
+      liquidity,
+      aggregation: u.searchParams.get("aggregation") || undefined,
+      vintage,
+      asOf,
+      strategy,
+    });
+    return sendJson(res, 200, doc);
+  } catch (e) {
+    const { status, error } = appErrorResult(e);
+    return sendJson(res, status, error);
+  }
+}
+
+async function startAlerts() {
+  const webhooks = (process.env.ALERT_WEBHOOKS || "").split(",").map((w) => w.trim()).filter(Boolean);
+  if (!webhooks.length) return;
+
+  const scheduler = createAlertScheduler({
+    webhooks,
+    stateFile: process.env.ALERT_STATE_FILE || path.join(__dirname, ".state", "alerts.json"),
+    intervalMs: Number(process.env.ALERT_INTERVAL_MS) || 60 * 60 * 1000,
+    log: log.child("alerts"),
+    computeDocument: async () => {
+      const { doc, error } = await computeSignalDocument(new URLSearchParams(process.env.ALERT_SIGNAL_PARAMS || ""));
+      if (!doc) throw new Error(error.message || error.error);
+      return doc;
+    },
+  });
+  log.info(`Signal alerts enabled for ${webhooks.length} webhook(s)`);
+  scheduler.start().catch((e) => log.error("Alert scheduler failed", e));
+}
+
+// Upstreams probed by /health. Results are reused for HEALTH_PROBE_MS so
+// frequent readiness checks do not hammer them.
+const UPSTREAM_PROBES = {
+  fred: "https://api.stlouisfed.org/",
+  blockchain: "https://api.blockchain.info/",
+  coinbase: "https://api.exchange.coinbase.com/",
+};
+const HEALTH_PROBE_MS = 30 * 1000;
+let lastProbe = null;
+
+async function probeUpstreams() {
+  const entries = await Promise.all(
+    Object.entries(UPSTREAM_PROBES).map(async ([name, url]) => [name, await upstream.probe(url)])
+  );
+  return Object.fromEntries(entries);
+}
+
+async function serveHealth(res) {
+  // replay mode never goes upstream, so there is nothing to probe
+  if (PROXY_MODE !== "replay" && (!lastProbe || Date.now() - lastProbe.at >= HEALTH_PROBE_MS)) {
+    lastProbe = { at: Date.now(), results: probeUpstreams() };
+  }
+  const upstreams = lastProbe ? await lastProbe.results : {};
+  const ready = Object.values(upstreams).every((u) => u.reachable);
+  return sendJson(res, ready ? 200 : 503, {
+    status: ready ? "ok" : "degraded",
+    mode: PROXY_MODE,
+    uptimeSec: Math.floor((Date.now() - STARTED_AT) / 1000),
+    fredApiKey: Boolean(process.env.FRED_API_KEY),
+    checkedAt: lastProbe ? new Date(lastProbe.at).toISOString() : null,
+    upstreams,
+    eventClients: events.size,
+  });
+}
+
+async function serveFixture(res, fixture) {
+  const body = await readFixture(fixture);
+  if (body == null) {
+    return sendJson(res, 404, { error: "No recorded fixture", fixture: path.relative(__dirname, fixture) });
+  }
+  res.writeHead(200, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+    "X-Cache": "REPLAY",
+  });
+  res.end(body);
+}
+
+// A client-supplied id is kept when it is short and printable, so one id can
+// follow a call across services.
+function requestIdFor(req) {
+  const given = req.headers["x-request-id"];
+  return typeof given === "string" && /^[\w.:-]{1,64}$/.test(given) ? given : randomUUID();
+}
+
+// One "request" entry per response, with its status and duration.
+function logRequest(req, res, startedAt) {
+  res.on("close", () => {
+    const status = res.statusCode;
+    requestsTotal.inc({ route: routeLabel(req.url), status });
+    const data = { method: req.method, path: redact(req.url), status, ms: Date.now() - startedAt };
+    if (!res.writableFinished) data.aborted = true;
+    if (status >= 500) log.error("request", data);
+    else log.info("request", data);
+  });
+}
+
+http.createServer((req, res) => {
+  const requestId = requestIdFor(req);
+  res.setHeader("X-Request-Id", requestId);
+  requestContext.run({ requestId }, () => {
+    logRequest(req, res, Date.now());
+    return handleRequest(req, res);
+  });
+}).listen(PORT, () => {
+  log.info(`Proxy running on http://localhost:${PORT}`, {
+    endpoints: ["/fred", "/btc", "/prices", "/assets", "/spot", "/signal", "/export", "/history", "/events", "/health", "/metrics"],
+    mode: PROXY_MODE,
+  });
+  startAlerts();
+});
+
+async function handleRequest(req, res) {
+  const corsAllowed = applyCors(req, res);
+  if (req.method === "OPTIONS") {
+    res.writeHead(corsAllowed ? 204 : 403, { "Cache-Control": "no-store" });
     return res.end();
   }
+  // pages outside CORS_ORIGINS get no cross-origin access at all
+  if (req.headers.origin && !corsAllowed) {
+    return sendJson(res, 403, { error: "Origin not allowed", origin: req.headers.origin });
+  }
 
   try {
-    await loadEnvFile();
     const u = new URL(req.url, `http://localhost:${PORT}`);
 
     if (u.pathname === "/" || u.pathname === "/index.html") {
       return sendFile(res, path.join(__dirname, "index.html"), "text/html; charset=utf-8");
     }
-    if (u.pathname === "/app.js") {
-      return sendFile(res, path.join(__dirname, "app.js"), "text/javascript; charset=utf-8");
+    if (STATIC_MODULES.has(u.pathname)) {
+      return sendFile(res, path.join(__dirname, u.pathname.slice(1)), "text/javascript; charset=utf-8");
+    }
+
+    if (u.pathname === "/health") return await serveHealth(res);
+    if (u.pathname === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Cache-Control": "no-store" });
+      return res.end(metrics.render());
+    }
+
+    const quota = rateLimiter.take(clientId(req));
+    if (quota.limit) res.setHeader("X-RateLimit-Remaining", String(quota.remaining));
+    if (!quota.ok) {
+      res.setHeader("Retry-After", String(quota.retryAfterSec));
+      return sendJson(res, 429, { error: "Too many requests", retryAfterSec: quota.retryAfterSec });
     }
 
     if (u.pathname === "/btc") {
-      const timespan = u.searchParams.get("timespan") || "10years";
-      const sampled = u.searchParams.get("sampled") || "false";
-      const params = new URLSearchParams({
-        timespan,
-        format: "json",
-        sampled,
-        cors: "true",
-      });
-      const btcUrl = `https://api.blockchain.info/charts/market-price?${params.toString()}`;
+      const bounds = dateBounds(u.searchParams, "start", "end");
+      if (!bounds) return badBounds(res, "start", "end");
+      const request = await priceRequest("BTC", u.searchParams, bounds);
+      if (PROXY_MODE === "replay") return await serveFixture(res, request.fixture);
+      return await serveThroughCache(res, request);
+    }
 
-      const r = await fetch(btcUrl);
-      const text = await r.text();
-      if (!r.ok) return sendJson(res, r.status, { error: "BTC request failed", status: r.status, body: text });
+    if (u.pathname === "/prices") {
+      const bounds = dateBounds(u.searchParams, "start", "end");
+      if (!bounds) return badBounds(res, "start", "end");
+      const request = await priceRequest(u.searchParams.get("asset"), u.searchParams, bounds);
+      if (!request) return sendJson(res, 404, { error: "Unknown asset", asset: u.searchParams.get("asset") });
+      if (PROXY_MODE === "replay" && !request.local) return await serveFixture(res, request.fixture);
+      return await serveThroughCache(res, request);
+    }
 
-      res.writeHead(200, {
-        "Content-Type": "application/json; charset=utf-8",
-        "Access-Control-Allow-Origin": "*",
-        "Cache-Control": "no-store",
-      });
-      return res.end(text);
+    if (u.pathname === "/spot") {
+      const request = await spotRequest(u.searchParams.get("asset"));
+      if (!request) return sendJson(res, 404, { error: "No intraday quote for asset", asset: u.searchParams.get("asset") });
+      if (PROXY_MODE === "replay") return await serveFixture(res, request.fixture);
+      return await serveThroughCache(res, request);
     }
 
+    if (u.pathname === "/assets") {
+      const assets = await priceSources.assets();
+      return sendJson(res, 200, { assets: assets.map(({ id, label, source, spotProduct }) => ({ id, label, source, intraday: Boolean(spotProduct) })) });
+    }
+
+    if (u.pathname === "/signal") return await serveSignal(res, u);
+
+    if (u.pathname === "/export") return await serveExport(res, u);
+
+    if (u.pathname === "/history") return await serveHistory(res, u);
+
+    if (u.pathname === "/events") return events.connect(req, res);
+
     if (u.pathname !== "/fred") return sendJson(res, 404, { error: "Not found" });
 
     const series_id = u.searchParams.get("series_id") || "M2SL";
     const api_key = u.searchParams.get("api_key") || process.env.FRED_API_KEY;
+    const realtime = fredRealtimeParams(u.searchParams);
+    if (!realtime) {
+      return sendJson(res, 400, {
+        error: "Bad real-time params",
+        message: "realtime_start/realtime_end must be YYYY-MM-DD and output_type 1 or 4.",
+      });
+    }
+    const bounds = dateBounds(u.searchParams, "observation_start", "observation_end");
+    if (!bounds) return badBounds(res, "observation_start", "observation_end");
+    const request = fredRequest(series_id, api_key, realtime, bounds);
+    if (PROXY_MODE === "replay") return await serveFixture(res, request.fixture);
     if (!api_key) {
       return sendJson(res, 400, {
         error: "Missing api_key",
@@ -112,35 +938,11 @@ http.createServer(async (req, res) => {
       });
     }
 
-    // FRED series observations endpoint (JSON)
-    // Docs: /fred/series/observations with file_type=json, series_id, api_key, etc. :contentReference[oaicite:3]{index=3}
-    const now = new Date();
-    const start = new Date(Date.UTC(now.getUTCFullYear() - 6, now.getUTCMonth(), 1));
-    const observation_start = start.toISOString().slice(0, 10);
-
-    const fredUrl =
-      `https://api.stlouisfed.org/fred/series/observations` +
-      `?series_id=${encodeURIComponent(series_id)}` +
-      `&api_key=${encodeURIComponent(api_key)}` +
-      `&file_type=json` +
-      `&sort_order=asc` +
-      `&observation_start=${encodeURIComponent(observation_start)}`;
-
-    const r = await fetch(fredUrl);
-    const text = await r.text();
-
     // Pass through (still JSON if ok, but we’ll wrap errors safely)
-    if (!r.ok) return sendJson(res, r.status, { error: "FRED request failed", status: r.status, body: text });
-
-    res.writeHead(200, {
-      "Content-Type": "application/json; charset=utf-8",
-      "Access-Control-Allow-Origin": "*",
-      "Cache-Control": "no-store",
-    });
-    res.end(text);
+    return await serveThroughCache(res, request);
   } catch (e) {
-    sendJson(res, 500, { error: "Proxy error", message: String(e?.message || e) });
+    const message = redact(String(e?.message || e));
+    log.error(`Proxy error on ${redact(req.url)}`, e);
+    sendJson(res, 500, { error: "Proxy error", message });
   }
-}).listen(PORT, () => {
-  console.log(`Proxy running on http://localhost:${PORT} (endpoints: /fred, /btc)`);
-});
+}
@@ -0,0 +1,38 @@
+// ratelimit.js
+// Per-client request limiter for proxy.js: a fixed window of `limit` requests
+// per `windowMs`, keyed by client address. limit = 0 turns it off.
+
+const PRUNE_ABOVE = 10000;
+
+export function createRateLimiter({ limit = 120, windowMs = 60 * 1000 }) {
+  const windows = new Map();
+
+  function prune(now) {
+    for (const [client, w] of windows) if (w.resetAt <= now) windows.delete(client);
+  }
+
+  // Counts one request. { ok, limit, remaining, retryAfterSec }.
+  function take(client, now = Date.now()) {
+    if (!(limit > 0)) return { ok: true, limit: 0, remaining: null, retryAfterSec: 0 };
+    let w = windows.get(client);
+    if (!w || w.resetAt <= now) {
+      if (windows.size >= PRUNE_ABOVE) prune(now);
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(client, w);
+    }
+    w.count += 1;
+    return {
+      ok: w.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - w.count),
+      retryAfterSec: Math.ceil((w.resetAt - now) / 1000),
+    };
+  }
+
+  return {
+    take,
+    get size() {
+      return windows.size;
+    },
+  };
+}
@@ -0,0 +1,125 @@
+// report.js
+// DOM-free per-month table of everything behind the two signals, for spreadsheet
+// reviews: close, EMA legs, MACD/signal/histogram, crosses, the liquidity level
+// and YoY, and each rule's outcome as of that month. Served by the proxy's
+// /export route as CSV or JSON.
+
+import {
+  assertChartResponse,
+  combinedStatus,
+  macdBreakdown,
+  makeAppError,
+  midTermSignalFromLevels,
+  midTermSignalHistory,
+  parseMonthlyLevels,
+  resampleToMonthEndCloses,
+  resolveStrategy,
+  shortTermSignalFromCandles,
+} from "./app.js";
+
+// Rows are aligned on the monthly BTC candles; the strategy's interval is
+// ignored because the table is always one row per month.
+export function buildSignalTable({
+  btcPayload,
+  fredPayload,
+  asset = "BTC",
+  seriesId = "M2SL",
+  aggregation = "avg",
+  vintage = "latest",
+  asOf = null,
+  strategy,
+  sources = {},
+}) {
+  const active = resolveStrategy(strategy);
+  if (!assertChartResponse(btcPayload) || !Array.isArray(fredPayload?.observations)) {
+    throw makeAppError({
+      status: 502,
+      code: "BAD_UPSTREAM_SHAPE",
+      message: "Upstream data shape unexpected.",
+      details: { source: assertChartResponse(btcPayload) ? "fred" : "btc" },
+    });
+  }
+
+  const candles = resampleToMonthEndCloses(btcPayload.values);
+  const closes = candles.map((c) => c.close);
+  const legs = macdBreakdown(closes, active.macd);
+  const levels = parseMonthlyLevels(fredPayload.observations, { aggregation });
+  const yoy = new Map();
+  try {
+    for (const p of midTermSignalFromLevels(levels, active).yoySeries) yoy.set(p.month, p.yoy);
+  } catch {
+    // too little liquidity history: the YoY columns stay empty
+  }
+  // mid-term rule as if each month were the latest YoY point
+  const midStates = new Map(midTermSignalHistory(levels, active).map((m) => [m.period, m.signal]));
+
+  const { fast, slow } = active.macd;
+  const columns = [
+    "month",
+    "close",
+    `ema${fast}`,
+    `ema${slow}`,
+    "macd",
+    "signal",
+    "histogram",
+    "cross",
+    "short_state",
+    `${seriesId}_level`,
+    `${seriesId}_yoy_pct`,
+    "mid_state",
+    "combined",
+  ];
+
+  const rows = candles.map((c, i) => {
+    const short = shortTermSignalFromCandles(candles.slice(0, i + 1), active);
+    const shortState = short.state === "loading" ? null : short.state;
+    const midState = midStates.get(c.period) ?? null;
+    return {
+      month: c.period,
+      close: c.close,
+      [`ema${fast}`]: legs.emaFast[i],
+      [`ema${slow}`]: legs.emaSlow[i],
+      macd: legs.macd[i],
+      signal: legs.signal[i],
+      histogram: legs.histogram[i],
+      cross: short.cross.idx === i ? short.cross.dir : null,
+      short_state: shortState,
+      [`${seriesId}_level`]: levels.get(c.period) ?? null,
+      [`${seriesId}_yoy_pct`]: yoy.get(c.period) ?? null,
+      mid_state: midState,
+      combined: shortState && midState ? combinedStatus(shortState, midState).status : null,
+    };
+  });
+
+  const iso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+  const meta = {
+    generatedAt: new Date().toISOString(),
+    asset,
+    seriesId,
+    aggregation,
+    vintage,
+    asOf,
+    macd: `${active.macd.fast}/${active.macd.slow}/${active.macd.signal} monthly`,
+    midRule: `YoY vs ${active.yoyLagMonths}m prior`,
+    neutralBand: `macd ${active.neutralBand.macdPct}% of price, yoy ${active.neutralBand.yoyPp}pp`,
+    btcFetchedAt: iso(sources.btc?.fetchedAt),
+    fredFetchedAt: iso(sources.fred?.fetchedAt),
+  };
+
+  return { meta, columns, rows };
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Metadata goes first as "# key: value" lines, which spreadsheet imports can
+// skip as comments.
+export function tableToCsv({ meta, columns, rows }) {
+  const lines = Object.entries(meta).map(([k, v]) => `# ${k}: ${v ?? ""}`);
+  lines.push(columns.join(","));
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return `${lines.join("\n")}\n`;
+}
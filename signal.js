@@ -0,0 +1,224 @@
+// signal.js
+// DOM-free assembly of the full short-term + mid-term computation as a versioned JSON document.
+// Used by the proxy's /signal route, the CLI and alerts; input payloads are the raw /btc and
+// /fred responses (one per series for a composite liquidity mode), plus an optional /spot quote
+// for the provisional (in-progress candle) state. The mid-term half is the dashboard card's own
+// core (midTermResultFromObservations), so every caller gets the same verdict.
+// buildSignalHistory is the /history route's document: every cross and regime.
+
+import {
+  assertChartResponse,
+  assertHealthy,
+  combinedStatus,
+  liquidityFor,
+  makeAppError,
+  midTermResultFromObservations,
+  midTermSeriesIds,
+  provisionalShortTerm,
+  regimeReturns,
+  resampleCloses,
+  resampleToMonthEndCloses,
+  resolveStrategy,
+  shortTermHistory,
+  shortTermResultFromDaily,
+} from "./app.js";
+import { validateDailySeries } from "./validate.js";
+
+export const SIGNAL_DOC_VERSION = 1;
+
+function isoOrNull(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function assertPriceShape(btcPayload) {
+  if (!assertChartResponse(btcPayload)) {
+    throw makeAppError({
+      status: 502,
+      code: "BAD_UPSTREAM_SHAPE",
+      message: "Upstream data shape unexpected.",
+      details: { source: "btc" },
+    });
+  }
+}
+
+// FRED input is `fredPayload` for the single series, or `fredPayloads`
+// ({ seriesId: payload }) holding every series the liquidity mode reads.
+// Returns the mid-term core's Map(seriesId -> observations).
+function observationsBySeries({ fredPayload, fredPayloads, seriesId, liquidity }) {
+  const payloads = fredPayloads ?? { [seriesId]: fredPayload };
+  const out = new Map();
+  for (const id of midTermSeriesIds({ seriesId, liquidity })) {
+    if (!Array.isArray(payloads[id]?.observations)) {
+      throw makeAppError({
+        status: 502,
+        code: "BAD_UPSTREAM_SHAPE",
+        message: "Unexpected payload shape (missing observations).",
+        details: { source: "fred", seriesId: id },
+      });
+    }
+    out.set(id, payloads[id].observations);
+  }
+  return out;
+}
+
+// `liquidity` is a LIQUIDITY_MODES name: "m2" reads `seriesId`, "net" the
+// net liquidity composite (pass its series in `fredPayloads`).
+export function buildSignalDocument({
+  btcPayload,
+  fredPayload,
+  fredPayloads,
+  spotPayload = null,
+  asset = "BTC",
+  seriesId = "M2SL",
+  liquidity = "m2",
+  aggregation = "avg",
+  vintage = "latest",
+  strategy,
+  asOf = null,
+  strict = false,
+  sources = {},
+}) {
+  const active = resolveStrategy(strategy);
+  const composite = liquidityFor(liquidity);
+  assertPriceShape(btcPayload);
+  const observations = observationsBySeries({ fredPayload, fredPayloads, seriesId, liquidity: composite });
+
+  // staleness is judged against the as-of day when one is given
+  const now = asOf ? Date.parse(`${asOf}T23:59:59Z`) : Date.now();
+  const btcHealth = validateDailySeries(btcPayload.values, { now });
+  assertHealthy(btcHealth, { strict, source: asset });
+  const mid = midTermResultFromObservations(observations, {
+    seriesId,
+    liquidity: composite,
+    aggregation,
+    vintage,
+    strict,
+    asOf,
+    strategy: active,
+  });
+
+  const short = shortTermResultFromDaily(btcPayload.values, active);
+  const quote = spotPayload?.status === "ok" ? { price: spotPayload.price, at: spotPayload.at } : null;
+  const provisional = quote ? provisionalShortTerm(btcPayload.values, quote, active) : null;
+  const lastPoint = btcPayload.values[btcPayload.values.length - 1];
+
+  return {
+    version: SIGNAL_DOC_VERSION,
+    generatedAt: new Date().toISOString(),
+    asOf,
+    asset,
+    strategy: active,
+    shortTerm: {
+      signal: short.signal,
+      confidence: short.confidence,
+      lastCross: { dir: short.cross.dir, at: short.cross.atISO },
+      histogram: short.histogram,
+      lastClose: short.lastClose,
+      timeframes: short.timeframes.map((tf) => ({
+        interval: tf.interval,
+        signal: tf.signal,
+        confidence: tf.confidence ?? null,
+        lastCross: tf.cross ? { dir: tf.cross.dir, at: tf.cross.atISO } : null,
+      })),
+      meta: short.meta,
+      consensus: {
+        score: short.consensus.score,
+        votes: short.consensus.votes.map(({ id, weight, vote, value }) => ({ id, weight, vote, value })),
+      },
+      provisional: provisional && {
+        signal: provisional.signal,
+        forming: provisional.forming,
+        period: provisional.period,
+        price: provisional.price,
+        at: provisional.at,
+        lastCross: { dir: provisional.cross.dir, at: provisional.cross.atISO },
+      },
+    },
+    midTerm: {
+      signal: mid.signal,
+      confidence: mid.confidence,
+      liquidity,
+      // null for a composite, which names its series in `formula`
+      seriesId: composite ? null : seriesId,
+      ...(composite ? { formula: mid.formula } : {}),
+      aggregation,
+      vintage,
+      latest: { month: mid.latestMk, yoyPct: mid.latestYoy },
+      prior: { month: mid.priorMk, yoyPct: mid.priorYoy },
+      deltaPp: mid.deltaValue,
+      rule: "latest > prior",
+      neutralBandPp: active.neutralBand.yoyPp,
+      ...(composite
+        ? {
+            components: mid.components.map(({ seriesId: id, label, latestLevel, deltaContributionPp }) => ({
+              seriesId: id,
+              label,
+              latestLevel,
+              deltaContributionPp,
+            })),
+          }
+        : {}),
+    },
+    combined: combinedStatus(short.signal, mid.signal),
+    data: {
+      btc: {
+        points: btcPayload.values.length,
+        lastPointAt: isoOrNull(Number(lastPoint?.x) * 1000),
+        cache: sources.btc?.cache ?? null,
+        fetchedAt: isoOrNull(sources.btc?.fetchedAt),
+        health: btcHealth,
+      },
+      fred: {
+        observations: Array.from(observations.values()).reduce((n, obs) => n + obs.length, 0),
+        lastObservationDate: mid.dataAsOf,
+        cache: sources.fred?.cache ?? null,
+        fetchedAt: isoOrNull(sources.fred?.fetchedAt),
+        health: mid.health,
+      },
+    },
+  };
+}
+
+// Short-term MACD crosses (with the close at each) and the regimes between
+// them; mid-term regime changes and regimes. Every regime carries its length
+// in periods and the asset's return over it.
+export function buildSignalHistory({
+  btcPayload,
+  fredPayload,
+  fredPayloads,
+  asset = "BTC",
+  seriesId = "M2SL",
+  liquidity = "m2",
+  aggregation = "avg",
+  vintage = "latest",
+  strategy,
+  asOf = null,
+}) {
+  const active = resolveStrategy(strategy);
+  const composite = liquidityFor(liquidity);
+  assertPriceShape(btcPayload);
+  const observations = observationsBySeries({ fredPayload, fredPayloads, seriesId, liquidity: composite });
+
+  const short = shortTermHistory(resampleCloses(btcPayload.values, active.interval), active);
+  const mid = midTermResultFromObservations(observations, {
+    seriesId,
+    liquidity: composite,
+    aggregation,
+    vintage,
+    asOf,
+    strategy: active,
+  }).history;
+  return {
+    version: SIGNAL_DOC_VERSION,
+    generatedAt: new Date().toISOString(),
+    asOf,
+    asset,
+    liquidity,
+    seriesId: composite ? null : seriesId,
+    aggregation,
+    vintage,
+    strategy: active,
+    shortTerm: short,
+    midTerm: { ...mid, regimes: regimeReturns(mid.regimes, resampleToMonthEndCloses(btcPayload.values)) },
+  };
+}
@@ -0,0 +1,160 @@
+// sources.js
+// Pluggable daily price sources for proxy.js. Every source answers in the
+// blockchain.info chart shape ({ status: "ok", values: [{ x, y }] }), so the
+// frontend pipeline (assertChartResponse -> resample -> MACD) runs unchanged.
+//
+// Built-in assets are listed in BUILTIN_ASSETS; every <SYMBOL>.csv in the CSV
+// directory (date,close rows) is added as an extra asset.
+//
+// Assets with a `spotProduct` also have an intraday quote (Coinbase ticker),
+// answered as { status: "ok", asset, price, at: unix seconds }.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const DAY_SEC = 24 * 60 * 60;
+const COINBASE_API = "https://api.exchange.coinbase.com";
+const COINBASE_PAGE = 300; // max candles per request
+
+const BUILTIN_ASSETS = [
+  { id: "BTC", label: "Bitcoin", source: "blockchain.info", chart: "market-price", spotProduct: "BTC-USD" },
+  { id: "ETH", label: "Ether", source: "coinbase", product: "ETH-USD", spotProduct: "ETH-USD" },
+  { id: "SOL", label: "Solana", source: "coinbase", product: "SOL-USD", spotProduct: "SOL-USD" },
+];
+
+function timespanDays(timespan) {
+  const m = /^(\d+)\s*(day|week|month|year)s?$/.exec(String(timespan).trim());
+  if (!m) return 10 * 365;
+  const unit = { day: 1, week: 7, month: 30, year: 365 }[m[2]];
+  return Number(m[1]) * unit;
+}
+
+function chartText(name, values) {
+  return JSON.stringify({ status: "ok", name, unit: "USD", period: "day", values });
+}
+
+// Optional YYYY-MM-DD bounds: `end` caps the series (default today), `start`
+// replaces the timespan's start.
+export function windowFor({ timespan, start, end }) {
+  const endSec = end
+    ? Date.parse(`${end}T23:59:59Z`) / 1000
+    : Math.floor(Date.now() / 1000 / DAY_SEC) * DAY_SEC;
+  const startSec = start ? Date.parse(`${start}T00:00:00Z`) / 1000 : endSec - timespanDays(timespan) * DAY_SEC;
+  return { startSec, endSec };
+}
+
+function trimChart(r, { startSec, endSec }) {
+  if (!r.ok) return r;
+  const payload = JSON.parse(r.text);
+  if (!Array.isArray(payload?.values)) return r;
+  const values = payload.values.filter((p) => p.x >= startSec && p.x <= endSec);
+  return { ...r, text: JSON.stringify({ ...payload, values }) };
+}
+
+// Coinbase candles are [time, low, high, open, close, volume], newest first,
+// at most 300 per call; page backwards from today until the window is covered.
+async function loadCoinbaseDaily(fetchText, product, { startSec, endSec }) {
+  const byTime = new Map();
+
+  for (let pageEnd = endSec; pageEnd > startSec; pageEnd -= COINBASE_PAGE * DAY_SEC) {
+    const pageStart = Math.max(startSec, pageEnd - COINBASE_PAGE * DAY_SEC);
+    const params = new URLSearchParams({
+      granularity: String(DAY_SEC),
+      start: new Date(pageStart * 1000).toISOString(),
+      end: new Date(pageEnd * 1000).toISOString(),
+    });
+    const r = await fetchText(`${COINBASE_API}/products/${encodeURIComponent(product)}/candles?${params}`);
+    if (!r.ok) return r;
+    const rows = JSON.parse(r.text);
+    if (!Array.isArray(rows)) return { ok: false, status: 502, text: r.text };
+    if (!rows.length) break; // before the product was listed
+    for (const row of rows) byTime.set(row[0], row[4]);
+  }
+
+  const values = Array.from(byTime, ([x, y]) => ({ x, y })).sort((a, b) => a.x - b.x);
+  return { ok: true, status: 200, text: chartText(product, values) };
+}
+
+async function loadCoinbaseSpot(fetchText, assetId, product) {
+  const r = await fetchText(`${COINBASE_API}/products/${encodeURIComponent(product)}/ticker`);
+  if (!r.ok) return r;
+  const ticker = JSON.parse(r.text);
+  const price = Number(ticker?.price);
+  const at = Math.floor(Date.parse(ticker?.time) / 1000);
+  if (!Number.isFinite(price) || !Number.isFinite(at)) return { ok: false, status: 502, text: r.text };
+  return { ok: true, status: 200, text: JSON.stringify({ status: "ok", asset: assetId, price, at, source: "coinbase" }) };
+}
+
+async function loadCsvDaily(file, name) {
+  const raw = await fs.readFile(file, "utf8");
+  const values = [];
+  for (const line of raw.split(/\r?\n/)) {
+    const [date, close] = line.split(",").map((c) => c.trim());
+    const x = Date.parse(`${date}T00:00:00Z`) / 1000;
+    const y = Number(close);
+    if (!Number.isFinite(x) || close === "" || !Number.isFinite(y)) continue; // header, blanks
+    values.push({ x, y });
+  }
+  values.sort((a, b) => a.x - b.x);
+  return { ok: true, status: 200, text: chartText(name, values) };
+}
+
+async function listCsvAssets(csvDir) {
+  let files = [];
+  try {
+    files = await fs.readdir(csvDir);
+  } catch {
+    return [];
+  }
+  return files
+    .filter((f) => f.toLowerCase().endsWith(".csv"))
+    .map((f) => {
+      const id = path.basename(f, path.extname(f)).toUpperCase();
+      return { id, label: id, source: "csv", file: path.join(csvDir, f) };
+    });
+}
+
+// fetchText: async (url) => { ok, status, text } — injected so the proxy's
+// timeouts and instrumentation apply to every source.
+export function createPriceSources({ fetchText, csvDir }) {
+  async function assets() {
+    const csv = await listCsvAssets(csvDir);
+    const builtinIds = new Set(BUILTIN_ASSETS.map((a) => a.id));
+    return [...BUILTIN_ASSETS, ...csv.filter((a) => !builtinIds.has(a.id))];
+  }
+
+  // Describes how to load one asset: the params that identify the dataset
+  // (for cache keys and fixture names) and a loader returning chart JSON text.
+  // `start`/`end` (YYYY-MM-DD) bound the series for as-of views.
+  async function request(assetId, { timespan = "10years", sampled = "false", start, end } = {}) {
+    const asset = (await assets()).find((a) => a.id === String(assetId).toUpperCase());
+    if (!asset) return null;
+    const bounds = Object.fromEntries(Object.entries({ start, end }).filter(([, v]) => v));
+    const win = windowFor({ timespan, start, end });
+
+    if (asset.source === "blockchain.info") {
+      const params = new URLSearchParams({ timespan, format: "json", sampled, cors: "true", ...bounds });
+      const query = new URLSearchParams({ timespan, format: "json", sampled, cors: "true" });
+      // blockchain.info counts the timespan forward from `start`
+      if (start || end) query.set("start", new Date(win.startSec * 1000).toISOString().slice(0, 10));
+      const url = `https://api.blockchain.info/charts/${asset.chart}?${query.toString()}`;
+      return { asset, params, load: async () => trimChart(await fetchText(url), win) };
+    }
+    if (asset.source === "coinbase") {
+      const params = new URLSearchParams({ asset: asset.id, timespan, ...bounds });
+      return { asset, params, load: () => loadCoinbaseDaily(fetchText, asset.product, win) };
+    }
+    const params = new URLSearchParams({ asset: asset.id, ...bounds });
+    return { asset, params, local: true, load: async () => (start || end ? trimChart(await loadCsvDaily(asset.file, asset.id), win) : loadCsvDaily(asset.file, asset.id)) };
+  }
+
+  // Same idea for the intraday quote; null when the asset has none.
+  async function spot(assetId) {
+    const asset = (await assets()).find((a) => a.id === String(assetId).toUpperCase());
+    if (!asset?.spotProduct) return null;
+    const params = new URLSearchParams({ asset: asset.id });
+    return { asset, params, load: () => loadCoinbaseSpot(fetchText, asset.id, asset.spotProduct) };
+  }
+
+  return { assets, request, spot };
+}
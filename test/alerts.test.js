@@ -0,0 +1,150 @@
+// alerts.test.js
+// Alert scheduler failure handling: unwritable state, failing webhooks and
+// what the log shows about them, with a stubbed global fetch.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createAlertScheduler } from "../alerts.js";
+
+const realFetch = globalThis.fetch;
+const HOOK = "https://hooks.example.test/services/T000/B000/s3cretToken?key=k3y";
+
+const dirs = [];
+
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test.after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-test-"));
+  dirs.push(dir);
+  return dir;
+}
+
+function doc(short) {
+  return {
+    shortTerm: { signal: short, lastCross: null, histogram: 1, lastClose: 100, meta: {} },
+    midTerm: { signal: "bullish", seriesId: "M2SL", latest: null, prior: null, deltaPp: 0.5 },
+    combined: { status: "aligned" },
+    data: { btc: { lastPointAt: "2025-11-30" }, fred: { lastObservationDate: "2025-10-01" } },
+  };
+}
+
+function memoryLog() {
+  const lines = [];
+  return { lines, info: (msg) => lines.push(`info ${msg}`), error: (msg) => lines.push(`error ${msg}`) };
+}
+
+// a state path under a regular file, so mkdir and every write fail
+function unwritableStateFile() {
+  const blocker = path.join(tmpDir(), "not-a-dir");
+  fs.writeFileSync(blocker, "");
+  return path.join(blocker, "alerts.json");
+}
+
+test("tick logs an unwritable state file instead of rejecting", async () => {
+  const log = memoryLog();
+  const scheduler = createAlertScheduler({
+    computeDocument: async () => doc("bullish"),
+    webhooks: [HOOK],
+    stateFile: unwritableStateFile(),
+    log,
+  });
+  await scheduler.tick();
+  assert.ok(log.lines.some((l) => l.startsWith("error Alert recompute failed")), log.lines.join("\n"));
+});
+
+test("delivery keeps working and rescheduling when the state cannot be saved", async () => {
+  // readable state, but the temp file it is written through is a directory
+  const stateFile = path.join(tmpDir(), "alerts.json");
+  fs.writeFileSync(stateFile, JSON.stringify({ last: { shortTerm: "bearish", midTerm: "bullish", combined: "aligned" } }));
+  fs.mkdirSync(`${stateFile}.${process.pid}.tmp`);
+  const log = memoryLog();
+  let posted = 0;
+  globalThis.fetch = async () => {
+    posted += 1;
+    return new Response("", { status: 200 });
+  };
+  let computed = 0;
+  const scheduler = createAlertScheduler({
+    computeDocument: async () => {
+      computed += 1;
+      return doc("bullish");
+    },
+    webhooks: [HOOK],
+    stateFile,
+    intervalMs: 5,
+    log,
+  });
+  await scheduler.start();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  await scheduler.stop();
+
+  assert.ok(computed >= 3, `ticks: ${computed}`);
+  assert.ok(posted >= 3, `posts: ${posted}`);
+  assert.ok(log.lines.some((l) => l.startsWith("error Alert delivery failed")), log.lines.join("\n"));
+});
+
+test("webhook failures are logged without the secret part of the url", async () => {
+  const stateFile = path.join(tmpDir(), "alerts.json");
+  fs.writeFileSync(stateFile, JSON.stringify({ last: { shortTerm: "bearish", midTerm: "bullish", combined: "aligned" } }));
+  let attempts = 0;
+  globalThis.fetch = async () => {
+    attempts += 1;
+    if (attempts === 1) throw new Error("fetch failed");
+    return new Response("", { status: 503 });
+  };
+  const log = memoryLog();
+  const scheduler = createAlertScheduler({
+    computeDocument: async () => doc("bullish"),
+    webhooks: [HOOK],
+    stateFile,
+    retry: { attempts: 2, baseDelayMs: 1 },
+    log,
+  });
+  await scheduler.tick();
+
+  const failures = log.lines.filter((l) => l.startsWith("error Webhook"));
+  assert.equal(failures.length, 2, log.lines.join("\n"));
+  for (const line of failures) {
+    assert.match(line, /hooks\.example\.test#[0-9a-f]{8}/);
+    assert.ok(!line.includes("s3cretToken") && !line.includes("k3y"), line);
+  }
+  // still undelivered, so it stays in the outbox for the next tick
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, "utf8")).outbox.length, 1);
+});
+
+test("the delivery log counts the webhooks tried and the ones that took the alert", async () => {
+  const stateFile = path.join(tmpDir(), "alerts.json");
+  fs.writeFileSync(stateFile, JSON.stringify({ last: { shortTerm: "bearish", midTerm: "bullish", combined: "aligned" } }));
+  const other = "https://other.example.test/hook";
+  let otherUp = false;
+  const posted = [];
+  globalThis.fetch = async (url) => {
+    posted.push(String(url));
+    return new Response("", { status: String(url) === other && !otherUp ? 503 : 200 });
+  };
+  const log = memoryLog();
+  const scheduler = createAlertScheduler({
+    computeDocument: async () => doc("bullish"),
+    webhooks: [HOOK, other],
+    stateFile,
+    retry: { attempts: 1, baseDelayMs: 1 },
+    log,
+  });
+  await scheduler.tick();
+  assert.ok(log.lines.some((l) => /^info Alert \S+ delivered to 1\/2 webhook\(s\)/.test(l)), log.lines.join("\n"));
+
+  otherUp = true;
+  posted.length = 0;
+  await scheduler.tick();
+  assert.deepEqual(posted, [other]);
+  assert.ok(log.lines.some((l) => /^info Alert \S+ delivered to 1\/1 webhook\(s\)/.test(l)), log.lines.join("\n"));
+});
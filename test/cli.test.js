@@ -0,0 +1,75 @@
+// cli.test.js
+// btc-signal end to end against a stand-in proxy that, like the real one,
+// serves a window ending at `end` / `observation_end` (default today).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const cli = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "cli.js");
+const DAY_SEC = 24 * 60 * 60;
+
+function fakeProxy() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const u = new URL(req.url, "http://localhost");
+    requests.push(u);
+    let body;
+    if (u.pathname === "/btc") {
+      const end = u.searchParams.get("end");
+      const endSec = end ? Date.parse(`${end}T00:00:00Z`) / 1000 : Math.floor(Date.now() / 1000 / DAY_SEC) * DAY_SEC;
+      const values = Array.from({ length: 3650 }, (_, i) => {
+        const x = endSec - (3649 - i) * DAY_SEC;
+        return { x, y: 1000 + 500 * Math.sin(i / 90) + i };
+      });
+      body = { status: "ok", values };
+    } else {
+      // six years of monthly observations up to observation_end
+      const end = new Date(u.searchParams.get("observation_end") ?? Date.now());
+      const observations = Array.from({ length: 72 }, (_, i) => {
+        const d = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 71 + i, 1));
+        return { date: d.toISOString().slice(0, 10), value: String(10000 + 40 * i + 5 * (i % 12)) };
+      });
+      body = { observations };
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({ server, requests })));
+}
+
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cli, ...args], { timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test("an old --as-of day is sent upstream and computes from that window", async (t) => {
+  const { server, requests } = await fakeProxy();
+  t.after(() => server.close());
+  const proxy = `http://127.0.0.1:${server.address().port}`;
+
+  const { code, stdout, stderr } = await run(["--proxy", proxy, "--as-of", "2017-06-30", "--format", "json"]);
+  assert.equal(code, 0, stderr);
+  const doc = JSON.parse(stdout);
+  assert.equal(doc.asOf, "2017-06-30");
+  assert.equal(doc.midTerm.latest.month, "2017-06");
+  assert.ok(doc.data.btc.lastPointAt.startsWith("2017-06-30"), doc.data.btc.lastPointAt);
+
+  const btc = requests.find((u) => u.pathname === "/btc");
+  const fred = requests.find((u) => u.pathname === "/fred");
+  assert.equal(btc.searchParams.get("end"), "2017-06-30");
+  assert.equal(fred.searchParams.get("observation_end"), "2017-06-30");
+  assert.equal(fred.searchParams.get("realtime_end"), "2017-06-30");
+});
+
+test("a malformed --as-of is a usage error", async () => {
+  const { code, stderr } = await run(["--proxy", "http://127.0.0.1:9", "--as-of", "2017-13-45"]);
+  assert.equal(code, 2);
+  assert.match(stderr, /--as-of must be YYYY-MM-DD/);
+});
@@ -0,0 +1,94 @@
+// dates.test.js
+// Month-key arithmetic and the YoY comparison across year ends and gaps.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_STRATEGY,
+  addMonthsKey,
+  computeYoYFromMonthlyLevels,
+  findMonthAtOrBefore,
+  midTermSignalFromLevels,
+} from "../app.js";
+
+// Map of YYYY-MM -> level, growing `pct` per month from `start`.
+function levels(startMk, count, pct = 1, base = 100) {
+  const out = new Map();
+  let v = base;
+  let mk = startMk;
+  for (let i = 0; i < count; i++) {
+    out.set(mk, v);
+    v *= 1 + pct / 100;
+    mk = addMonthsKey(mk, 1);
+  }
+  return out;
+}
+
+test("addMonthsKey crosses December/January both ways", () => {
+  assert.equal(addMonthsKey("2023-12", 1), "2024-01");
+  assert.equal(addMonthsKey("2024-01", -1), "2023-12");
+  assert.equal(addMonthsKey("2024-03", -12), "2023-03");
+  assert.equal(addMonthsKey("2024-01", -13), "2022-12");
+  assert.equal(addMonthsKey("2023-11", 26), "2026-01");
+  assert.equal(addMonthsKey("2024-02", 0), "2024-02");
+});
+
+test("addMonthsKey round-trips for every month and offset", () => {
+  for (let m = 1; m <= 12; m++) {
+    const mk = `2024-${String(m).padStart(2, "0")}`;
+    for (let d = -30; d <= 30; d++) assert.equal(addMonthsKey(addMonthsKey(mk, d), -d), mk);
+  }
+});
+
+test("findMonthAtOrBefore prefers the exact month, then walks back", () => {
+  const months = ["2023-10", "2023-11", "2024-02"];
+  assert.equal(findMonthAtOrBefore(months, "2024-02"), "2024-02");
+  // January and December are both missing: falls back to November
+  assert.equal(findMonthAtOrBefore(months, "2024-01"), "2023-11");
+  assert.equal(findMonthAtOrBefore(months, "2023-09"), null);
+});
+
+test("findMonthAtOrBefore gives up after twelve months back", () => {
+  assert.equal(findMonthAtOrBefore(["2023-01"], "2024-01"), "2023-01");
+  assert.equal(findMonthAtOrBefore(["2022-12"], "2024-01"), null);
+});
+
+test("computeYoYFromMonthlyLevels compares with the same month a year earlier", () => {
+  const yoy = computeYoYFromMonthlyLevels(levels("2022-06", 24, 1));
+  assert.equal(yoy.size, 12);
+  assert.equal(Array.from(yoy.keys())[0], "2023-06");
+  // twelve compounded 1% months
+  for (const v of yoy.values()) assert.ok(Math.abs(v - (1.01 ** 12 - 1) * 100) < 1e-9);
+});
+
+test("computeYoYFromMonthlyLevels skips months whose base year is missing or unusable", () => {
+  const lv = levels("2022-01", 26, 1);
+  lv.delete("2022-12");
+  lv.set("2022-03", 0);
+  lv.set("2023-05", Number.NaN);
+  const yoy = computeYoYFromMonthlyLevels(lv);
+  assert.equal(yoy.has("2023-12"), false);
+  assert.equal(yoy.has("2023-03"), false);
+  assert.equal(yoy.has("2023-05"), false);
+  assert.equal(yoy.has("2024-01"), true);
+});
+
+test("midTermSignalFromLevels bridges a missing prior YoY month", () => {
+  // accelerating growth, with the month exactly three months back missing
+  const lv = new Map();
+  let v = 100;
+  for (let i = 0, mk = "2021-01"; i < 40; i++, mk = addMonthsKey(mk, 1)) {
+    lv.set(mk, v);
+    v *= 1 + (0.2 + i * 0.02) / 100;
+  }
+  const latestMk = "2024-04";
+  lv.delete(addMonthsKey(latestMk, -3));
+  const out = midTermSignalFromLevels(lv, DEFAULT_STRATEGY);
+  assert.equal(out.latestMk, latestMk);
+  assert.equal(out.priorMk, "2023-12");
+  assert.equal(out.signal, "bullish");
+});
+
+test("midTermSignalFromLevels needs enough YoY history", () => {
+  assert.throws(() => midTermSignalFromLevels(levels("2023-01", 15)), /Too few YoY points/);
+});
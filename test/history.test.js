@@ -0,0 +1,73 @@
+// history.test.js
+// Cross and regime timelines: boundaries, open regimes and per-regime returns.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addMonthsKey, midTermHistory, regimeReturns, shortTermHistory } from "../app.js";
+
+// Monthly candles from a list of closes, starting 2020-01.
+const candlesOf = (closes) =>
+  closes.map((close, i) => {
+    const period = addMonthsKey("2020-01", i);
+    return { period, close, at: new Date(`${period}-28T00:00:00Z`) };
+  });
+
+// up for a while, down for a while, up again
+const wave = Array.from({ length: 90 }, (_, i) => 1000 + 500 * Math.sin(i / 8));
+
+test("short-term regimes chain cross to cross and only the last is open", () => {
+  const candles = candlesOf(wave);
+  const { interval, crosses, regimes } = shortTermHistory(candles);
+  assert.equal(interval, "monthly");
+  assert.ok(crosses.length >= 2);
+  assert.equal(regimes.length, crosses.length);
+  regimes.forEach((r, i) => {
+    assert.equal(r.from, crosses[i].at);
+    assert.equal(r.state, crosses[i].dir === "up" ? "bullish" : "bearish");
+    assert.equal(r.open, i === regimes.length - 1);
+    if (i > 0) assert.equal(regimes[i - 1].to, r.from);
+  });
+  assert.equal(regimes[regimes.length - 1].to, candles[candles.length - 1].period);
+  for (let i = 1; i < crosses.length; i++) assert.notEqual(crosses[i].dir, crosses[i - 1].dir);
+});
+
+test("regimeReturns prices each regime from its start close to its end close", () => {
+  const candles = [
+    { period: "2024-01", close: 100 },
+    { period: "2024-03", close: 150 },
+  ];
+  const out = regimeReturns(
+    [
+      { state: "bullish", from: "2024-01", to: "2024-03" },
+      { state: "bearish", from: "2024-03-15", to: "2024-01" },
+      { state: "neutral", from: "2023-06", to: "2024-03" },
+    ],
+    candles
+  );
+  assert.equal(out[0].returnPct, 50);
+  // a dated key falls back to its month
+  assert.equal(out[1].startPrice, 150);
+  assert.ok(Math.abs(out[1].returnPct - (100 / 150 - 1) * 100) < 1e-9);
+  assert.equal(out[2].returnPct, null);
+});
+
+test("mid-term changes line up with regime boundaries", () => {
+  // growth accelerates, then decelerates: YoY rises, then falls
+  const levels = new Map();
+  let v = 100;
+  for (let i = 0, mk = "2018-01"; i < 72; i++, mk = addMonthsKey(mk, 1)) {
+    levels.set(mk, v);
+    v *= 1 + (1 + Math.sin(i / 6)) / 100;
+  }
+  const { changes, regimes } = midTermHistory(levels);
+  assert.ok(changes.length >= 1);
+  assert.equal(regimes.length, changes.length + 1);
+  changes.forEach((c, i) => {
+    assert.equal(regimes[i + 1].from, c.at);
+    assert.equal(regimes[i + 1].state, c.to);
+    assert.equal(regimes[i].state, c.from);
+    assert.equal(regimes[i].to, c.at);
+  });
+  assert.equal(regimes[regimes.length - 1].to, "2023-12");
+  assert.ok(regimes[regimes.length - 1].open);
+});
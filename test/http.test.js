@@ -0,0 +1,165 @@
+// http.test.js
+// httpGetJson error codes end to end, through the public fetchers, with a
+// stubbed global fetch.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PROXY_TIMEOUT_MS, computeMidTermSignal, fetchObservations, getMarketPriceDaily } from "../app.js";
+import { retryBudgetMs } from "../upstream.js";
+
+const realFetch = globalThis.fetch;
+let calls = [];
+
+function stubFetch(handler) {
+  calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(String(url));
+    return handler(String(url), init);
+  };
+}
+
+const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+const chart = (n) => ({
+  status: "ok",
+  values: Array.from({ length: n }, (_, i) => ({ x: 1700000000 + i * 86400, y: 30000 + i })),
+});
+
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("a chart payload passes through getMarketPriceDaily", async () => {
+  stubFetch(() => jsonResponse(chart(90)));
+  const json = await getMarketPriceDaily({ baseUrl: "http://proxy.test/btc", end: "2024-01-31" });
+  assert.equal(json.values.length, 90);
+  const url = new URL(calls[0]);
+  assert.equal(url.pathname, "/btc");
+  assert.equal(url.searchParams.get("end"), "2024-01-31");
+});
+
+test("a non-2xx answer is HTTP_NOT_OK with the upstream status", async () => {
+  stubFetch(() => jsonResponse({ error: "rate limited" }, 429));
+  await assert.rejects(getMarketPriceDaily({ baseUrl: "http://proxy.test/btc" }), (err) => {
+    assert.equal(err.code, "HTTP_NOT_OK");
+    assert.equal(err.status, 429);
+    assert.match(err.details.url, /^http:\/\/proxy\.test\/btc\?/);
+    return true;
+  });
+});
+
+test("a network failure is HTTP_FETCH_FAILED", async () => {
+  stubFetch(() => {
+    throw new TypeError("fetch failed");
+  });
+  await assert.rejects(getMarketPriceDaily({ baseUrl: "http://proxy.test/btc" }), (err) => {
+    assert.equal(err.code, "HTTP_FETCH_FAILED");
+    assert.equal(err.status, 0);
+    return true;
+  });
+});
+
+test("an aborted request is HTTP_FETCH_FAILED too", async () => {
+  stubFetch((url, init) => {
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(init.signal.reason));
+    });
+  });
+  const ctrl = new AbortController();
+  const pending = getMarketPriceDaily({ baseUrl: "http://proxy.test/btc", signal: ctrl.signal });
+  ctrl.abort();
+  await assert.rejects(pending, (err) => err.code === "HTTP_FETCH_FAILED");
+});
+
+test("a chart with the wrong shape is BAD_UPSTREAM_SHAPE", async () => {
+  for (const body of [{ status: "error" }, { status: "ok", values: "none" }, chart(10)]) {
+    stubFetch(() => jsonResponse(body));
+    await assert.rejects(getMarketPriceDaily({ baseUrl: "http://proxy.test/btc" }), (err) => {
+      assert.equal(err.code, "BAD_UPSTREAM_SHAPE");
+      assert.equal(err.status, 502);
+      return true;
+    });
+  }
+});
+
+test("requests through the proxy outlast its upstream retries", () => {
+  // 3 attempts x 10s plus two 8s backoffs
+  assert.equal(retryBudgetMs(), 46000);
+  assert.ok(PROXY_TIMEOUT_MS > retryBudgetMs());
+});
+
+test("FRED observations: shape, HTTP errors and api_key redaction", async () => {
+  const observations = [{ date: "2024-01-01", value: "20800.1" }];
+  stubFetch(() => jsonResponse({ observations }));
+  const obs = await fetchObservations({ proxyUrl: "http://proxy.test/fred", seriesId: "M2SL", end: "2024-06-30" });
+  assert.deepEqual(obs, observations);
+  const url = new URL(calls[0]);
+  assert.equal(url.searchParams.get("series_id"), "M2SL");
+  assert.equal(url.searchParams.get("observation_end"), "2024-06-30");
+
+  stubFetch(() => jsonResponse({ error_message: "nope" }));
+  await assert.rejects(
+    fetchObservations({ proxyUrl: "http://proxy.test/fred", seriesId: "M2SL" }),
+    (err) => err.code === "BAD_UPSTREAM_SHAPE"
+  );
+
+  stubFetch(() => jsonResponse({ error_message: "Bad Request" }, 400));
+  await assert.rejects(
+    fetchObservations({ proxyUrl: "http://proxy.test/fred", apiKey: "s3cret", seriesId: "M2SL" }),
+    (err) => {
+      assert.equal(err.code, "HTTP_NOT_OK");
+      assert.equal(err.status, 400);
+      assert.ok(!err.details.url.includes("s3cret"), err.details.url);
+      assert.match(err.details.url, /api_key=REDACTED/);
+      return true;
+    }
+  );
+});
+
+test("fetchObservations refuses to run without a proxy or key", async () => {
+  stubFetch(() => jsonResponse({}));
+  await assert.rejects(fetchObservations({ seriesId: "M2SL" }), (err) => err.code === "MISSING_PROXY_OR_API_KEY");
+  assert.equal(calls.length, 0);
+});
+
+// ALFRED stand-in: each observation is valid from realtime_start to
+// realtime_end; a request without a window gets today's (latest) values.
+function alfred(vintages) {
+  return (url) => {
+    const u = new URL(url);
+    const day = u.searchParams.get("realtime_end") ?? "9999-12-31";
+    const end = u.searchParams.get("observation_end") ?? "9999-12-31";
+    const observations = vintages.filter((o) => o.realtime_start <= day && day <= o.realtime_end && o.date <= end);
+    return jsonResponse({ observations });
+  };
+}
+
+test("an as-of mid-term view reads the vintage of that day, not later releases", async () => {
+  const month = (y, m) => `${y}-${String(m).padStart(2, "0")}-01`;
+  const known = { realtime_start: "2018-02-01", realtime_end: "9999-12-31" };
+  const vintages = [
+    ...[2018, 2019].flatMap((y) => Array.from({ length: 12 }, (_, i) => ({ date: month(y, i + 1), value: "100", ...known }))),
+    ...[1, 2, 3].map((m) => ({ date: month(2020, m), value: "110", ...known })),
+    // April as first published, then revised after the as-of day
+    { date: "2020-04-01", value: "120", realtime_start: "2020-05-10", realtime_end: "2020-06-09" },
+    { date: "2020-04-01", value: "150", realtime_start: "2020-06-10", realtime_end: "9999-12-31" },
+    // May is dated before the as-of day but only published after it
+    { date: "2020-05-01", value: "160", realtime_start: "2020-06-10", realtime_end: "9999-12-31" },
+  ];
+  stubFetch(alfred(vintages));
+
+  const mid = await computeMidTermSignal({ proxyUrl: "http://proxy.test/fred", asOf: "2020-05-15" });
+  const url = new URL(calls[0]);
+  assert.equal(url.searchParams.get("realtime_start"), "2020-05-15");
+  assert.equal(url.searchParams.get("realtime_end"), "2020-05-15");
+  assert.equal(mid.vintage, "2020-05-15");
+  assert.equal(mid.latestMk, "2020-04");
+  assert.ok(Math.abs(mid.latestYoy - 20) < 1e-9, String(mid.latestYoy));
+  assert.equal(mid.priorMk, "2020-01");
+  assert.equal(mid.dataAsOf, "2020-04-01");
+
+  // without as_of the revision and the new month are what counts
+  const latest = await computeMidTermSignal({ proxyUrl: "http://proxy.test/fred" });
+  assert.equal(latest.latestMk, "2020-05");
+});
@@ -0,0 +1,129 @@
+// indicators.test.js
+// EMA seeding, MACD reference values, cross detection edge cases and the
+// consensus votes.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_STRATEGY, ema, lastMacdCross, macdSeries, resolveStrategy, shortTermResultFromDaily } from "../app.js";
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+// candles only need a period label for the cross position
+const candlesFor = (n) => Array.from({ length: n }, (_, i) => ({ period: `p${i}` }));
+
+// macd/signal pairs whose difference is exactly `diffs`
+const crossInput = (diffs) => ({
+  macd: diffs,
+  signal: diffs.map((d) => (d == null ? null : 0)),
+  candles: candlesFor(diffs.length),
+});
+
+test("ema seeds with the simple average, then smooths with 2/(n+1)", () => {
+  // seed at index 2 = mean(1, 2, 3) = 2; k = 0.5
+  assert.deepEqual(ema([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  const out = ema([10, 20, 30, 10], 2);
+  assert.deepEqual(out.slice(0, 2), [null, 15]);
+  close(out[2], (30 - 15) * (2 / 3) + 15);
+  close(out[3], (10 - out[2]) * (2 / 3) + out[2]);
+});
+
+test("ema waits for a full window of finite values before seeding", () => {
+  // the null at index 1 pushes the first full 3-value window to indices 2..4
+  assert.deepEqual(ema([1, null, 3, 4, 5, 6], 3), [null, null, null, null, 4, 5]);
+  assert.deepEqual(ema([NaN, 2, 4, 6], 3), [null, null, null, 4]);
+  assert.deepEqual(ema([1, 2], 3), [null, null]);
+  assert.deepEqual(ema([1, 2, 3], 0), [null, null, null]);
+});
+
+test("ema leaves gaps after seeding null and carries the last value across them", () => {
+  const out = ema([1, 2, 3, null, 5], 3);
+  assert.deepEqual(out.slice(0, 4), [null, null, 2, null]);
+  // (5 - 2) * 0.5 + 2: the gap does not reset the average
+  assert.equal(out[4], 3.5);
+});
+
+test("macd of a linear ramp is the lag difference (slow - fast) / 2", () => {
+  // With an SMA seed, the EMA of x_t = t is exactly t - (n - 1) / 2, so
+  // MACD = (26 - 12) / 2 = 7 from the first slow value on, and so is its signal.
+  const closes = Array.from({ length: 60 }, (_, i) => i);
+  const { macd, signal } = macdSeries(closes, { fast: 12, slow: 26, signal: 9 });
+  assert.equal(macd[24], null);
+  for (let i = 25; i < closes.length; i++) close(macd[i], 7);
+  assert.equal(signal[32], null);
+  for (let i = 33; i < closes.length; i++) close(signal[i], 7);
+});
+
+test("macd of a constant series is zero", () => {
+  const { macd, signal } = macdSeries(new Array(40).fill(42000));
+  close(macd[39], 0);
+  close(signal[39], 0);
+});
+
+test("macd matches a textbook implementation on a noisy series", () => {
+  const closes = Array.from({ length: 80 }, (_, i) => 100 + 10 * Math.sin(i / 5) + (i % 7));
+  const textbook = (values, n) => {
+    const k = 2 / (n + 1);
+    const out = [];
+    let prev = null;
+    values.forEach((v, i) => {
+      if (v == null) return out.push(null);
+      const window = values.slice(i - n + 1, i + 1);
+      if (prev == null) {
+        if (window.length < n || window.some((w) => w == null)) return out.push(null);
+        prev = window.reduce((a, b) => a + b, 0) / n;
+      } else {
+        prev = (v - prev) * k + prev;
+      }
+      out.push(prev);
+    });
+    return out;
+  };
+  const fast = textbook(closes, 12);
+  const slow = textbook(closes, 26);
+  const macdRef = closes.map((_, i) => (fast[i] == null || slow[i] == null ? null : fast[i] - slow[i]));
+  const signalRef = textbook(macdRef, 9);
+
+  const { macd, signal } = macdSeries(closes);
+  macdRef.forEach((m, i) => (m == null ? assert.equal(macd[i], null) : close(macd[i], m)));
+  signalRef.forEach((s, i) => (s == null ? assert.equal(signal[i], null) : close(signal[i], s)));
+});
+
+test("lastMacdCross reports the most recent side change", () => {
+  assert.deepEqual(lastMacdCross(crossInput([-2, -1, 1, 2])), { dir: "up", atISO: "p2", idx: 2 });
+  assert.deepEqual(lastMacdCross(crossInput([-1, 1, 2, -3])), { dir: "down", atISO: "p3", idx: 3 });
+  assert.deepEqual(lastMacdCross(crossInput([1, 2, 3])), { dir: "none", atISO: null, idx: -1 });
+});
+
+test("lastMacdCross: passing through exactly zero is one cross, at the first bar past it", () => {
+  assert.deepEqual(lastMacdCross(crossInput([-1, 0, 1])), { dir: "up", atISO: "p2", idx: 2 });
+  assert.deepEqual(lastMacdCross(crossInput([1, 0, 0, -1])), { dir: "down", atISO: "p3", idx: 3 });
+});
+
+test("lastMacdCross: leaving zero counts as a cross, even back to the same side", () => {
+  // a bar exactly on zero counts as both sides, so the next non-zero bar crosses
+  assert.deepEqual(lastMacdCross(crossInput([1, 0, 1])), { dir: "up", atISO: "p2", idx: 2 });
+  assert.deepEqual(lastMacdCross(crossInput([-1, 0, -1])), { dir: "down", atISO: "p2", idx: 2 });
+  assert.deepEqual(lastMacdCross(crossInput([0, 1, 2])), { dir: "up", atISO: "p1", idx: 1 });
+  // reaching zero is not a cross yet
+  assert.equal(lastMacdCross(crossInput([1, 2, 0])).dir, "none");
+});
+
+test("lastMacdCross ignores warm-up nulls and does not bridge gaps", () => {
+  assert.deepEqual(lastMacdCross(crossInput([null, null, -1, 1])), { dir: "up", atISO: "p3", idx: 3 });
+  assert.equal(lastMacdCross(crossInput([-1, null, 1])).dir, "none");
+});
+
+// ten years of daily points, the dashboard's default timespan, trending up
+const tenYearsRising = () =>
+  Array.from({ length: 3653 }, (_, i) => ({ x: Date.UTC(2015, 10, 1) / 1000 + i * 86400, y: 1000 + i + 50 * Math.sin(i / 20) }));
+
+test("the SMA 50/200 vote has an opinion on ten years of candles at every interval", () => {
+  for (const interval of ["monthly", "weekly", "daily"]) {
+    const strategy = interval === DEFAULT_STRATEGY.interval ? DEFAULT_STRATEGY : resolveStrategy({ interval });
+    const { consensus } = shortTermResultFromDaily(tenYearsRising(), strategy);
+    const vote = consensus.votes.find((v) => v.id === "sma");
+    assert.equal(vote.vote, 1, interval);
+    assert.ok(vote.value > 0, interval);
+  }
+});
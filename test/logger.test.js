@@ -0,0 +1,109 @@
+// logger.test.js
+// Structured entries, levels, redaction, the drawer buffer and step timing.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createLogBuffer, createLogger, jsonLineSink, timed } from "../logger.js";
+import { toAppError } from "../app.js";
+
+function collect(options = {}) {
+  const entries = [];
+  const log = createLogger({ tag: "Test", sinks: [(e) => entries.push(e)], ...options });
+  return { log, entries };
+}
+
+test("entries carry level, tag, message, data and context", () => {
+  const { log, entries } = collect({ context: () => ({ requestId: "r1" }) });
+  log.info("loaded", { points: 3 });
+  log.child("Sub").warn("slow");
+  assert.equal(entries.length, 2);
+  assert.deepEqual(
+    { ...entries[0], time: undefined },
+    { time: undefined, level: "info", tag: "Test", msg: "loaded", requestId: "r1", data: { points: 3 } }
+  );
+  assert.match(entries[0].time, /^\d{4}-\d{2}-\d{2}T/);
+  assert.equal(entries[1].tag, "Sub");
+  assert.equal(entries[1].requestId, "r1");
+  assert.equal("data" in entries[1], false);
+});
+
+test("entries below the level are dropped", () => {
+  const { log, entries } = collect({ level: "warn" });
+  log.debug("a");
+  log.info("b");
+  log.warn("c");
+  log.error("d");
+  assert.deepEqual(entries.map((e) => e.msg), ["c", "d"]);
+});
+
+test("api_key values and secrets are masked in messages and data", () => {
+  const { log, entries } = collect({ secrets: () => ["hunter2"] });
+  log.error("GET /fred?series_id=M2SL&api_key=abc123", {
+    url: "https://api.stlouisfed.org/x?api_key=abc123&file_type=json",
+    error: new Error("token hunter2 rejected"),
+    appError: toAppError(new TypeError("bad hunter2")),
+  });
+  const text = JSON.stringify(entries[0]);
+  assert.ok(!text.includes("abc123"), text);
+  assert.ok(!text.includes("hunter2"), text);
+  assert.equal(entries[0].data.error.message, "token REDACTED rejected");
+  assert.equal(entries[0].data.appError.code, "UNKNOWN_ERROR");
+});
+
+test("a failing sink does not break logging or the other sinks", () => {
+  const seen = [];
+  const log = createLogger({
+    sinks: [
+      () => {
+        throw new Error("sink down");
+      },
+      (e) => seen.push(e.msg),
+    ],
+  });
+  log.info("still here");
+  assert.deepEqual(seen, ["still here"]);
+});
+
+test("jsonLineSink writes one JSON object per line, problems to err", () => {
+  const out = [];
+  const err = [];
+  const log = createLogger({ sinks: [jsonLineSink({ out: (l) => out.push(l), err: (l) => err.push(l) })] });
+  log.info("ok");
+  log.warn("hmm");
+  assert.equal(out.length, 1);
+  assert.ok(out[0].endsWith("\n"));
+  assert.equal(JSON.parse(out[0]).msg, "ok");
+  assert.equal(JSON.parse(err[0]).level, "warn");
+});
+
+test("the log buffer keeps the newest entries and notifies subscribers", () => {
+  const buffer = createLogBuffer({ limit: 3 });
+  const notified = [];
+  const stop = buffer.subscribe((e) => notified.push(e?.msg ?? null));
+  const log = createLogger({ sinks: [buffer.sink] });
+  for (const n of [1, 2, 3, 4]) log.info(`m${n}`);
+  assert.deepEqual(buffer.entries().map((e) => e.msg), ["m2", "m3", "m4"]);
+  buffer.clear();
+  stop();
+  log.info("m5");
+  assert.deepEqual(notified, ["m1", "m2", "m3", "m4", null]);
+  assert.deepEqual(buffer.entries().map((e) => e.msg), ["m5"]);
+});
+
+test("timed logs each step with its duration and rethrows failures", async () => {
+  const { log, entries } = collect();
+  assert.equal(await timed(log, "fetch BTC daily", async () => 42), 42);
+  const boom = { status: 502, code: "HTTP_NOT_OK", message: "bad", details: null };
+  await assert.rejects(
+    timed(log, "fetch M2SL", () => Promise.reject(boom)),
+    (err) => err === boom
+  );
+  assert.deepEqual(entries.map((e) => [e.level, e.msg]), [
+    ["info", "fetch BTC daily done"],
+    ["warn", "fetch M2SL failed"],
+  ]);
+  assert.ok(Number.isInteger(entries[0].data.ms));
+  assert.equal(entries[1].data.error, "HTTP_NOT_OK");
+  // no logger at all is fine
+  assert.equal(await timed(undefined, "step", () => "x"), "x");
+});
@@ -0,0 +1,83 @@
+// metrics.test.js
+// Prometheus text rendering and the upstream attempt hook behind the
+// latency and error metrics.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMetricsRegistry } from "../metrics.js";
+import { createUpstreamFetcher } from "../upstream.js";
+
+const samples = (text) => text.split("\n").filter((l) => l && !l.startsWith("#"));
+
+test("counters and gauges render one line per label set, with HELP and TYPE", () => {
+  const metrics = createMetricsRegistry();
+  const requests = metrics.counter("requests_total", "Requests.", ["route", "status"]);
+  const state = metrics.gauge("state", "State.", ["asset"]);
+  const up = metrics.gauge("up", "Up.");
+  requests.inc({ route: "/btc", status: 200 });
+  requests.inc({ route: "/btc", status: 200 });
+  requests.inc({ route: "/fred", status: 502 }, 3);
+  state.set({ asset: 'a"b\\c' }, 1);
+  up.set({}, 1);
+
+  const text = metrics.render();
+  assert.ok(text.endsWith("\n"));
+  assert.match(text, /^# HELP requests_total Requests\.\n# TYPE requests_total counter\n/);
+  assert.deepEqual(samples(text), [
+    'requests_total{route="/btc",status="200"} 2',
+    'requests_total{route="/fred",status="502"} 3',
+    'state{asset="a\\"b\\\\c"} 1',
+    "up 1",
+  ]);
+  assert.throws(() => metrics.counter("up", "again"), /already registered/);
+});
+
+test("histograms are cumulative with +Inf, sum and count", () => {
+  const metrics = createMetricsRegistry();
+  const latency = metrics.histogram("latency_seconds", "Latency.", ["upstream"], [0.5, 0.1, 1]);
+  for (const v of [0.05, 0.3, 0.3, 2]) latency.observe({ upstream: "fred" }, v);
+  assert.deepEqual(samples(metrics.render()), [
+    'latency_seconds_bucket{upstream="fred",le="0.1"} 1',
+    'latency_seconds_bucket{upstream="fred",le="0.5"} 3',
+    'latency_seconds_bucket{upstream="fred",le="1"} 3',
+    'latency_seconds_bucket{upstream="fred",le="+Inf"} 4',
+    'latency_seconds_sum{upstream="fred"} 2.65',
+    'latency_seconds_count{upstream="fred"} 4',
+  ]);
+});
+
+test("collectors run before each render", () => {
+  const metrics = createMetricsRegistry();
+  const age = metrics.gauge("age_seconds", "Age.");
+  let n = 0;
+  metrics.onCollect(() => age.set({}, ++n));
+  assert.deepEqual(samples(metrics.render()), ["age_seconds 1"]);
+  assert.deepEqual(samples(metrics.render()), ["age_seconds 2"]);
+});
+
+test("the upstream fetcher reports every attempt, retries and failures included", async (t) => {
+  const realFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = realFetch;
+  });
+  const answers = [503, "network", 200];
+  globalThis.fetch = async () => {
+    const next = answers.shift();
+    if (next === "network") throw new TypeError("fetch failed");
+    return new Response("{}", { status: next });
+  };
+  const attempts = [];
+  const quiet = { info() {}, error() {} };
+  const { fetchText } = createUpstreamFetcher({
+    retry: { attempts: 3, baseDelayMs: 1 },
+    log: quiet,
+    onAttempt: (a) => attempts.push(a),
+  });
+  const r = await fetchText("https://api.stlouisfed.org/fred/series/observations?api_key=x");
+  assert.equal(r.status, 200);
+  assert.deepEqual(
+    attempts.map(({ status, error }) => status ?? error),
+    [503, "network", 200]
+  );
+  assert.ok(attempts.every((a) => Number.isFinite(a.ms) && a.url.startsWith("https://api.stlouisfed.org/")));
+});
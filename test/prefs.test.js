@@ -0,0 +1,109 @@
+// prefs.test.js
+// Preference normalisation, the shareable hash and the layered store.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PREFS, createPrefsStore, normalizePrefs, prefsFromHash, prefsToHash } from "../prefs.js";
+
+// localStorage, location and history stand-ins for one page
+function page(hash = "") {
+  const items = new Map();
+  const location = { origin: "http://dash.test", pathname: "/", search: "", hash };
+  return {
+    items,
+    location,
+    storage: {
+      getItem: (k) => (items.has(k) ? items.get(k) : null),
+      setItem: (k, v) => items.set(k, String(v)),
+      removeItem: (k) => items.delete(k),
+    },
+    history: {
+      replaceState: (state, title, url) => {
+        location.hash = new URL(url, location.origin).hash;
+      },
+    },
+  };
+}
+
+test("normalizePrefs fills defaults and drops what does not validate", () => {
+  assert.deepEqual(normalizePrefs(undefined), normalizePrefs(DEFAULT_PREFS));
+  const p = normalizePrefs({
+    asset: " eth ",
+    cards: ["mid", "nope", "short"],
+    liquidity: "qe",
+    refreshMs: -1,
+    strategy: { macd: { fast: 30, slow: 26, signal: 9 }, interval: "weekly", yoyLagMonths: 0 },
+  });
+  assert.equal(p.asset, "ETH");
+  // card order is the dashboard's, not the input's
+  assert.deepEqual(p.cards, ["short", "mid"]);
+  assert.equal(p.liquidity, "m2");
+  assert.equal(p.refreshMs, DEFAULT_PREFS.refreshMs);
+  assert.deepEqual(p.strategy, { interval: "weekly" });
+});
+
+test("the hash round-trips everything but the api key and proxy, and stays empty for defaults", () => {
+  assert.equal(prefsToHash(DEFAULT_PREFS), "");
+  const prefs = normalizePrefs({
+    asset: "ETH",
+    cards: ["short"],
+    labels: { short: "Momentum & trend" },
+    liquidity: "net",
+    seriesId: "WM2NS",
+    proxyUrl: "",
+    apiKey: "s3cret",
+    refreshMs: 60000,
+    strict: true,
+    strategy: {
+      macd: { fast: 8, slow: 21, signal: 5 },
+      interval: "weekly",
+      yoyLagMonths: 6,
+      neutralBand: { macdPct: 0, yoyPp: 0.5 },
+      indicators: { macd: 3, rsi: 0 },
+    },
+  });
+  const hash = prefsToHash(prefs);
+  assert.ok(!hash.includes("s3cret"), hash);
+  assert.deepEqual(normalizePrefs(prefsFromHash(hash)), { ...prefs, proxyUrl: DEFAULT_PREFS.proxyUrl, apiKey: "" });
+  assert.deepEqual(normalizePrefs(prefsFromHash("#cards=none")).cards, []);
+});
+
+test("a shared link wins over the saved view; saving rewrites the hash", () => {
+  const tab = page();
+  const store = createPrefsStore(tab);
+  store.save({ ...DEFAULT_PREFS, asset: "ETH", apiKey: "mine", labels: { mid: "Liquidity" } });
+  assert.equal(tab.location.hash, "#asset=ETH&mid_label=Liquidity");
+  assert.equal(store.isShared(), true);
+
+  const shared = page("#asset=SOL&macd=8,21,5&lag=abc");
+  shared.items.set(...tab.items.entries().next().value);
+  const viewer = createPrefsStore(shared);
+  const p = viewer.load();
+  assert.equal(p.asset, "SOL");
+  assert.equal(p.apiKey, "mine");
+  assert.equal(p.labels.mid, "Liquidity");
+  assert.deepEqual(p.strategy, { macd: { fast: 8, slow: 21, signal: 5 } });
+
+  assert.deepEqual(viewer.reset(), normalizePrefs({}));
+  assert.equal(shared.location.hash, "");
+  assert.equal(shared.items.size, 0);
+});
+
+test("a link cannot point the saved api key at another proxy", () => {
+  assert.deepEqual(prefsFromHash("#proxy=https://attacker.example/fred"), {});
+  const tab = page("#asset=ETH&proxy=https://attacker.example/fred");
+  tab.storage.setItem("market-sentiment:prefs", JSON.stringify({ proxyUrl: "", apiKey: "mine" }));
+  const p = createPrefsStore(tab).load();
+  assert.equal(p.asset, "ETH");
+  assert.equal(p.apiKey, "mine");
+  assert.equal(p.proxyUrl, "");
+
+  const fresh = page("#proxy=https://attacker.example/fred");
+  assert.equal(createPrefsStore(fresh).load().proxyUrl, DEFAULT_PREFS.proxyUrl);
+});
+
+test("unreadable storage falls back to the defaults", () => {
+  const tab = page();
+  tab.storage.setItem("market-sentiment:prefs", "{not json");
+  assert.deepEqual(createPrefsStore(tab).load(), normalizePrefs({}));
+});
@@ -0,0 +1,68 @@
+// proxy.test.js
+// proxy.js end to end: a child process on a spare port, with global fetch
+// replaced by a slow stub that logs every upstream call on stderr.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = 18000 + (process.pid % 1000);
+
+const STUB_FETCH = `
+globalThis.fetch = async (url) => {
+  process.stderr.write("stub-fetch " + url + "\\n");
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  const start = Math.floor(Date.now() / 1000) - 90 * 86400;
+  const values = Array.from({ length: 90 }, (_, i) => ({ x: start + i * 86400, y: 30000 + i }));
+  return new Response(JSON.stringify({ status: "ok", values }), { status: 200 });
+};
+`;
+
+function startProxy(env) {
+  const child = spawn(process.execPath, [`--import=data:text/javascript,${encodeURIComponent(STUB_FETCH)}`, "proxy.js"], {
+    cwd: root,
+    env: { ...process.env, PORT: String(PORT), LOG_LEVEL: "warn", ...env },
+  });
+  const upstreamCalls = [];
+  let stderr = "";
+  child.stderr.on("data", (chunk) => {
+    stderr += chunk;
+    for (const line of String(chunk).split("\n")) if (line.startsWith("stub-fetch ")) upstreamCalls.push(line.slice(11));
+  });
+  const ready = new Promise((resolve, reject) => {
+    child.once("exit", (code) => reject(new Error(`proxy exited with ${code}: ${stderr}`)));
+    const poll = async () => {
+      try {
+        await fetch(`http://localhost:${PORT}/health`);
+        resolve();
+      } catch {
+        setTimeout(poll, 50);
+      }
+    };
+    poll();
+  });
+  return { child, upstreamCalls, ready };
+}
+
+test("concurrent cold requests for one key share a single upstream fetch", async (t) => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "proxy-test-"));
+  const proxy = startProxy({ CACHE_DIR: cacheDir });
+  t.after(() => {
+    proxy.child.kill();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+  await proxy.ready;
+  const before = proxy.upstreamCalls.filter((u) => u.includes("/charts/")).length;
+
+  const responses = await Promise.all([1, 2].map(() => fetch(`http://localhost:${PORT}/btc?timespan=1year`)));
+  assert.deepEqual(responses.map((r) => r.status), [200, 200]);
+  const bodies = await Promise.all(responses.map((r) => r.json()));
+  assert.equal(bodies[0].values.length, 90);
+  assert.deepEqual(bodies[1], bodies[0]);
+  assert.equal(proxy.upstreamCalls.filter((u) => u.includes("/charts/")).length - before, 1, proxy.upstreamCalls.join("\n"));
+});
@@ -0,0 +1,249 @@
+// reference.test.js
+// End-to-end signal math on the fixture payloads, checked against reference
+// values computed here from the raw payloads without the app's code, plus a
+// small case whose numbers are worked out by hand.
+//
+// The fixtures in test/fixtures use the proxy's fixture layout and the
+// upstream payload shapes, but the values are a synthetic seeded series, not
+// market data. To run on real history, record with
+//   PROXY_MODE=record FIXTURES_DIR=test/fixtures node proxy.js
+// then load /btc and /fred?series_id=M2SL once.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  DEFAULT_STRATEGY,
+  NET_LIQUIDITY_FORMULA,
+  computeMidTermSignal,
+  liquidityFor,
+  macdCrosses,
+  macdSeries,
+  midTermSignalFromLevels,
+  parseMonthlyLevels,
+  resampleToMonthEndCloses,
+  shortTermSignalFromCandles,
+} from "../app.js";
+import { buildSignalDocument } from "../signal.js";
+
+const dir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+const btcPayload = readJson("btc/timespan=10years&sampled=false.json");
+const fredPayload = readJson("fred/series_id=M2SL.json");
+
+const close = (actual, expected, where) =>
+  assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${where}: expected ${expected}, got ${actual}`);
+
+// ---- reference implementations, kept deliberately naive ----
+
+// last close of each UTC calendar month, oldest first
+function monthEndCloses(values) {
+  const byMonth = {};
+  for (const { x, y } of values) {
+    const month = new Date(x * 1000).toISOString().slice(0, 7);
+    if (!byMonth[month] || x > byMonth[month].x) byMonth[month] = { x, y: Number(y) };
+  }
+  return Object.keys(byMonth).sort().map((month) => ({ month, close: byMonth[month].y }));
+}
+
+// EMA seeded with the mean of the first n values of a null-free series
+function emaOf(values, n) {
+  const k = 2 / (n + 1);
+  const out = values.map(() => null);
+  let prev = values.slice(0, n).reduce((a, b) => a + b, 0) / n;
+  out[n - 1] = prev;
+  for (let i = n; i < values.length; i++) out[i] = prev = values[i] * k + prev * (1 - k);
+  return out;
+}
+
+function macdOf(closes, { fast, slow, signal }) {
+  const f = emaOf(closes, fast);
+  const s = emaOf(closes, slow);
+  const macd = closes.map((_, i) => (i < slow - 1 ? null : f[i] - s[i]));
+  const sig = [...new Array(slow - 1).fill(null), ...emaOf(macd.slice(slow - 1), signal)];
+  return { macd, signal: sig };
+}
+
+// MACD crossing its signal line: the difference goes from <= 0 to > 0 (up)
+// or from >= 0 to < 0 (down) between consecutive bars
+function lastCrossOf(macd, signal, months) {
+  let last = { dir: "none", atISO: null, idx: -1 };
+  for (let i = 1; i < macd.length; i++) {
+    if ([macd[i], signal[i], macd[i - 1], signal[i - 1]].includes(null)) continue;
+    const prev = macd[i - 1] - signal[i - 1];
+    const curr = macd[i] - signal[i];
+    if (prev <= 0 && curr > 0) last = { dir: "up", atISO: months[i], idx: i };
+    if (prev >= 0 && curr < 0) last = { dir: "down", atISO: months[i], idx: i };
+  }
+  return last;
+}
+
+function yoyByMonth(observations) {
+  const level = {};
+  for (const o of observations) if (o.value !== ".") level[o.date.slice(0, 7)] = Number(o.value);
+  const yoy = {};
+  for (const month of Object.keys(level).sort()) {
+    const [y, m] = month.split("-");
+    const yearAgo = `${Number(y) - 1}-${m}`;
+    if (level[yearAgo]) yoy[month] = (level[month] / level[yearAgo] - 1) * 100;
+  }
+  return yoy;
+}
+
+function monthsBack(month, n) {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 - n, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+// ---- fixture payloads ----
+
+const reference = (() => {
+  const candles = monthEndCloses(btcPayload.values);
+  const closes = candles.map((c) => c.close);
+  const months = candles.map((c) => c.month);
+  const { macd, signal } = macdOf(closes, DEFAULT_STRATEGY.macd);
+  const last = closes.length - 1;
+  const histogram = macd[last] - signal[last];
+  const cross = lastCrossOf(macd, signal, months);
+  let state = cross.dir === "down" ? "bearish" : cross.dir === "up" ? "bullish" : histogram >= 0 ? "bullish" : "bearish";
+  if (Math.abs((histogram / closes[last]) * 100) < DEFAULT_STRATEGY.neutralBand.macdPct) state = "neutral";
+
+  const yoy = yoyByMonth(fredPayload.observations);
+  const latestMk = Object.keys(yoy).sort().at(-1);
+  const priorMk = monthsBack(latestMk, DEFAULT_STRATEGY.yoyLagMonths);
+  const deltaValue = yoy[latestMk] - yoy[priorMk];
+  let midSignal = deltaValue > 0 ? "bullish" : "bearish";
+  if (Math.abs(deltaValue) < DEFAULT_STRATEGY.neutralBand.yoyPp) midSignal = "neutral";
+
+  return {
+    months,
+    closes,
+    macd,
+    signal,
+    short: { state, cross, histogram },
+    mid: { signal: midSignal, latestMk, latestYoy: yoy[latestMk], priorMk, priorYoy: yoy[priorMk], deltaValue },
+  };
+})();
+
+test("month-end closes match the last daily point of each UTC month", () => {
+  const candles = resampleToMonthEndCloses(btcPayload.values);
+  assert.deepEqual(candles.map((c) => c.period), reference.months);
+  assert.deepEqual(candles.map((c) => c.close), reference.closes);
+});
+
+test("monthly MACD and signal match a textbook EMA on the fixture", () => {
+  const { macd, signal } = macdSeries(reference.closes, DEFAULT_STRATEGY.macd);
+  reference.macd.forEach((m, i) => (m == null ? assert.equal(macd[i], null) : close(macd[i], m, `macd[${i}]`)));
+  reference.signal.forEach((s, i) => (s == null ? assert.equal(signal[i], null) : close(signal[i], s, `signal[${i}]`)));
+});
+
+test("the short-term state and last cross match the reference", () => {
+  const short = shortTermSignalFromCandles(resampleToMonthEndCloses(btcPayload.values), DEFAULT_STRATEGY);
+  assert.equal(short.state, reference.short.state);
+  assert.deepEqual(short.cross, reference.short.cross);
+  close(short.histogram, reference.short.histogram, "histogram");
+});
+
+test("M2 YoY and the mid-term verdict match the reference", () => {
+  const mid = midTermSignalFromLevels(parseMonthlyLevels(fredPayload.observations), DEFAULT_STRATEGY);
+  assert.equal(mid.signal, reference.mid.signal);
+  assert.equal(mid.latestMk, reference.mid.latestMk);
+  assert.equal(mid.priorMk, reference.mid.priorMk);
+  close(mid.latestYoy, reference.mid.latestYoy, "latestYoy");
+  close(mid.priorYoy, reference.mid.priorYoy, "priorYoy");
+  close(mid.deltaValue, reference.mid.deltaValue, "deltaValue");
+});
+
+test("the signal document agrees with the reference", () => {
+  const doc = buildSignalDocument({ btcPayload, fredPayload, asOf: "2025-11-30" });
+  assert.equal(doc.shortTerm.signal, reference.short.state);
+  assert.equal(doc.shortTerm.lastCross.dir, reference.short.cross.dir);
+  assert.equal(doc.shortTerm.lastCross.at, reference.short.cross.atISO);
+  assert.equal(doc.midTerm.signal, reference.mid.signal);
+  close(doc.midTerm.latest.yoyPct, reference.mid.latestYoy, "midTerm.latest.yoyPct");
+});
+
+test("a net liquidity document reads the same mid-term verdict as the dashboard", async (t) => {
+  const months = Array.from({ length: 36 }, (_, i) => `${2023 + Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, "0")}-01`);
+  const level = { WALCL: (i) => 8e6 - 4e4 * i + 3e3 * i * i, WTREGEN: (i) => 700 + 5 * i, RRPONTSYD: (i) => 2000 - 50 * i };
+  const fredPayloads = Object.fromEntries(
+    NET_LIQUIDITY_FORMULA.map(({ seriesId }) => [
+      seriesId,
+      { observations: months.map((date, i) => ({ date, value: String(level[seriesId](i)) })) },
+    ]),
+  );
+  const realFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = realFetch;
+  });
+  globalThis.fetch = async (url) => {
+    const payload = fredPayloads[new URL(url).searchParams.get("series_id")];
+    return new Response(JSON.stringify(payload), { status: 200, headers: { "Content-Type": "application/json" } });
+  };
+
+  const dashboard = await computeMidTermSignal({ proxyUrl: "http://proxy.test/fred", liquidity: liquidityFor("net"), asOf: "2025-12-31" });
+  const doc = buildSignalDocument({ btcPayload, fredPayloads, liquidity: "net", asOf: "2025-12-31" });
+  assert.equal(doc.midTerm.liquidity, "net");
+  assert.equal(doc.midTerm.seriesId, null);
+  assert.equal(doc.midTerm.signal, dashboard.signal);
+  assert.equal(doc.midTerm.latest.month, dashboard.latestMk);
+  assert.equal(doc.midTerm.prior.month, dashboard.priorMk);
+  close(doc.midTerm.latest.yoyPct, dashboard.latestYoy, "latest.yoyPct");
+  close(doc.midTerm.deltaPp, dashboard.deltaValue, "deltaPp");
+  assert.deepEqual(
+    doc.midTerm.components.map((c) => c.seriesId),
+    NET_LIQUIDITY_FORMULA.map((c) => c.seriesId),
+  );
+  // M2 alone gives a different reading, so the mode is not ignored
+  const m2 = buildSignalDocument({ btcPayload, fredPayload, asOf: "2025-12-31" });
+  assert.notEqual(m2.midTerm.latest.yoyPct, doc.midTerm.latest.yoyPct);
+});
+
+// ---- worked by hand ----
+
+test("mid-term verdict on hand-computed YoY values", () => {
+  // 2020 flat at 200, then 210, 212, 214, 216, 216, 213 => YoY 5, 6, 7, 8, 8, 6.5 %
+  const observations = [
+    ...Array.from({ length: 12 }, (_, i) => ({ date: `2020-${String(i + 1).padStart(2, "0")}-01`, value: "200" })),
+    ...[210, 212, 214, 216, 216, 213].map((v, i) => ({ date: `2021-0${i + 1}-01`, value: String(v) })),
+    { date: "2021-07-01", value: "." },
+  ];
+  const mid = midTermSignalFromLevels(parseMonthlyLevels(observations), DEFAULT_STRATEGY);
+  assert.equal(mid.latestMk, "2021-06");
+  assert.equal(mid.priorMk, "2021-03");
+  close(mid.latestYoy, 6.5, "latestYoy");
+  close(mid.priorYoy, 7, "priorYoy");
+  close(mid.deltaValue, -0.5, "deltaValue");
+  assert.equal(mid.signal, "bearish");
+});
+
+test("MACD, signal line and crosses on hand-computed EMAs", () => {
+  // fast EMA(2): k = 2/3, seeded with mean(3, 6); slow EMA(3): k = 1/2,
+  // seeded with mean(3, 6, 9); signal EMA(2) of MACD seeded with mean(1.5, 0)
+  //   close      3    6    9    3     0      6      12       0
+  //   fast       -  4.5  7.5  4.5   1.5    4.5     9.5    19/6
+  //   slow       -    -    6  4.5  2.25  4.125  8.0625  129/32
+  //   macd       -    -  1.5    0 -0.75  0.375  1.4375  -83/96
+  //   signal     -    -    -  0.75 -0.25    1/6   73/72 -103/432
+  //   histogram  -    -    - -0.75  -0.5  5/24  61/144 -541/864
+  const closes = [3, 6, 9, 3, 0, 6, 12, 0];
+  const { macd, signal } = macdSeries(closes, { fast: 2, slow: 3, signal: 2 });
+  const want = {
+    macd: [null, null, 1.5, 0, -0.75, 0.375, 1.4375, -83 / 96],
+    signal: [null, null, null, 0.75, -0.25, 1 / 6, 73 / 72, -103 / 432],
+  };
+  for (const [key, got] of Object.entries({ macd, signal })) {
+    want[key].forEach((v, i) => (v == null ? assert.equal(got[i], null, `${key}[${i}]`) : close(got[i], v, `${key}[${i}]`)));
+  }
+  close(macd[7] - signal[7], -541 / 864, "histogram[7]");
+
+  // histogram turns positive at index 5 and negative again at index 7
+  const candles = closes.map((c, i) => ({ period: `2024-0${i + 1}`, close: c }));
+  assert.deepEqual(macdCrosses({ macd, signal, candles }), [
+    { dir: "up", atISO: "2024-06", idx: 5, price: 6 },
+    { dir: "down", atISO: "2024-08", idx: 7, price: 0 },
+  ]);
+});
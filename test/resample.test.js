@@ -0,0 +1,97 @@
+// resample.test.js
+// Property tests for the month-end resampler over seeded random daily series.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { dayKeyUTC, resampleToMonthEndCloses } from "../app.js";
+
+const DAY_SEC = 24 * 60 * 60;
+const RUNS = 50;
+
+// mulberry32: small deterministic PRNG so failures reproduce
+function rng(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Daily points with random gaps, intraday timestamps and the odd bad value.
+function randomSeries(rand) {
+  const points = [];
+  let x = Date.UTC(2015 + Math.floor(rand() * 8), Math.floor(rand() * 12), 1) / 1000;
+  const days = 30 + Math.floor(rand() * 900);
+  for (let i = 0; i < days; i++) {
+    x += DAY_SEC * (rand() < 0.1 ? 1 + Math.floor(rand() * 10) : 1);
+    const y = rand() < 0.02 ? (rand() < 0.5 ? null : "n/a") : 100 + rand() * 50000;
+    points.push({ x: x + Math.floor(rand() * DAY_SEC), y });
+  }
+  return points;
+}
+
+function shuffled(rand, values) {
+  const out = values.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+const monthOf = (p) => dayKeyUTC(new Date(p.x * 1000)).slice(0, 7);
+const finite = (p) => p.y != null && Number.isFinite(Number(p.y));
+
+test("one candle per month with a valid price, in chronological order", () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const series = randomSeries(rng(seed));
+    const candles = resampleToMonthEndCloses(series);
+    const months = new Set(series.filter(finite).map(monthOf));
+    assert.equal(candles.length, months.size, `seed ${seed}`);
+    assert.deepEqual(candles.map((c) => c.period), Array.from(months).sort(), `seed ${seed}`);
+    for (let i = 1; i < candles.length; i++) assert.ok(candles[i - 1].at < candles[i].at, `seed ${seed}`);
+  }
+});
+
+test("each close is the month's last valid daily price", () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const series = randomSeries(rng(seed));
+    const lastByMonth = new Map();
+    for (const p of series.filter(finite)) {
+      const prev = lastByMonth.get(monthOf(p));
+      if (!prev || p.x > prev.x) lastByMonth.set(monthOf(p), p);
+    }
+    for (const c of resampleToMonthEndCloses(series)) {
+      const last = lastByMonth.get(c.period);
+      assert.equal(c.close, Number(last.y), `seed ${seed} ${c.period}`);
+      assert.equal(c.at.getTime(), last.x * 1000, `seed ${seed} ${c.period}`);
+    }
+  }
+});
+
+test("input order does not matter", () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const rand = rng(seed);
+    const series = randomSeries(rand);
+    assert.deepEqual(resampleToMonthEndCloses(shuffled(rand, series)), resampleToMonthEndCloses(series), `seed ${seed}`);
+  }
+});
+
+test("resampling month-end candles again is a no-op", () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const candles = resampleToMonthEndCloses(randomSeries(rng(seed)));
+    const again = resampleToMonthEndCloses(candles.map((c) => ({ x: c.at.getTime() / 1000, y: c.close })));
+    assert.deepEqual(again, candles, `seed ${seed}`);
+  }
+});
+
+test("month boundaries are UTC: 23:59:59 on Dec 31 and 00:00 on Jan 1 split", () => {
+  const dec31 = Date.UTC(2023, 11, 31, 23, 59, 59) / 1000;
+  const candles = resampleToMonthEndCloses([
+    { x: dec31, y: 1 },
+    { x: dec31 + 1, y: 2 },
+  ]);
+  assert.deepEqual(candles.map((c) => [c.period, c.close]), [["2023-12", 1], ["2024-01", 2]]);
+});
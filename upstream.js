@@ -0,0 +1,85 @@
+// upstream.js
+// Outbound HTTP for proxy.js. Every upstream call gets a timeout; network
+// errors, timeouts, 429 and 5xx answers are retried with exponential backoff
+// (honouring Retry-After). URLs are redacted before they are logged.
+
+import { redactSecrets } from "./logger.js";
+
+export const DEFAULT_TIMEOUT_MS = 10000;
+export const DEFAULT_RETRY = { attempts: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+
+// Longest a fetchText call can take: every attempt timing out, with the
+// longest backoff between them. Clients of the proxy wait at least this long.
+export function retryBudgetMs({ timeoutMs = DEFAULT_TIMEOUT_MS, retry = DEFAULT_RETRY } = {}) {
+  const { attempts, maxDelayMs } = { ...DEFAULT_RETRY, ...retry };
+  return attempts * timeoutMs + Math.max(0, attempts - 1) * maxDelayMs;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function retryable(status) {
+  return status === 429 || status >= 500;
+}
+
+function retryAfterMs(res) {
+  const sec = Number(res.headers.get("retry-after"));
+  return Number.isFinite(sec) && sec >= 0 ? sec * 1000 : null;
+}
+
+function reasonOf(e, timeoutMs) {
+  return e?.name === "TimeoutError" ? `timed out after ${timeoutMs}ms` : String(e?.message || e);
+}
+
+// secrets: () => strings to mask in log lines besides api_key params.
+// onAttempt({ url, ms, status?, error? }) sees every try, retries included:
+// `status` for an HTTP answer, `error` ("timeout" | "network") otherwise.
+export function createUpstreamFetcher({
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retry = DEFAULT_RETRY,
+  secrets = () => [],
+  log = console,
+  onAttempt = () => {},
+}) {
+  const { attempts, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...retry };
+  const redact = (text) => redactSecrets(text, secrets());
+
+  // Resolves to { ok, status, text } like a single fetch; the last answer is
+  // returned once retries run out. Throws only when no answer ever arrived.
+  async function fetchText(url) {
+    let answer = null;
+    let failure = null;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      let waitMs = null;
+      const started = Date.now();
+      try {
+        const r = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+        answer = { ok: r.ok, status: r.status, text: await r.text() };
+        onAttempt({ url, ms: Date.now() - started, status: r.status });
+        if (!retryable(r.status)) return answer;
+        waitMs = retryAfterMs(r);
+        log.error(`Upstream ${redact(url)} answered HTTP ${r.status} (attempt ${attempt}/${attempts})`);
+      } catch (e) {
+        onAttempt({ url, ms: Date.now() - started, error: e?.name === "TimeoutError" ? "timeout" : "network" });
+        failure = reasonOf(e, timeoutMs);
+        log.error(`Upstream ${redact(url)} failed: ${redact(failure)} (attempt ${attempt}/${attempts})`);
+      }
+      if (attempt < attempts) await sleep(Math.min(maxDelayMs, waitMs ?? baseDelayMs * 2 ** (attempt - 1)));
+    }
+    if (answer) return answer;
+    throw new Error(`Upstream unreachable after ${attempts} attempt(s): ${redact(failure)}`);
+  }
+
+  // Reachability only: any HTTP answer counts, a network error or timeout
+  // does not. Never retried.
+  async function probe(url) {
+    const started = Date.now();
+    try {
+      const r = await fetch(url, { method: "HEAD", signal: AbortSignal.timeout(timeoutMs) });
+      return { reachable: true, status: r.status, latencyMs: Date.now() - started };
+    } catch (e) {
+      return { reachable: false, error: redact(reasonOf(e, timeoutMs)), latencyMs: Date.now() - started };
+    }
+  }
+
+  return { fetchText, probe };
+}
@@ -0,0 +1,167 @@
+// validate.js
+// Data-quality checks on every upstream series before it reaches the signal math.
+// A report is { status: "ok" | "warning" | "error", issues, stats }, where each
+// issue is { level: "warning" | "error", code, message, details }.
+//
+// Codes: BAD_VALUE (zero, negative or non-numeric), DUPLICATE, UNSORTED, GAP,
+// SPIKE (a move that reverts the next point), MISSING_VALUE (FRED "."), STALE.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Strict mode refuses to publish a signal on these, on top of any error.
+const STRICT_CODES = new Set(["STALE", "GAP"]);
+
+// Tolerances per observation frequency. FRED's monthly series appear a few
+// weeks after the month ends, dated the 1st, so their last point is naturally
+// about two months old.
+const FREQUENCY_LIMITS = {
+  daily: { maxGapDays: 5, staleDays: 10 },
+  weekly: { maxGapDays: 10, staleDays: 21 },
+  monthly: { maxGapDays: 35, staleDays: 100 },
+};
+
+function issue(level, code, message, details = null) {
+  return { level, code, message, details };
+}
+
+function report(issues, stats) {
+  const status = issues.some((i) => i.level === "error") ? "error" : issues.length ? "warning" : "ok";
+  return { status, issues, stats };
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Points are { t: epoch ms, v: number }, in source order.
+function checkPoints(points, { maxGapDays, staleDays, spikePct, now }) {
+  const issues = [];
+  const bad = points.filter((p) => !Number.isFinite(p.v) || p.v <= 0);
+  if (bad.length) {
+    issues.push(
+      issue("error", "BAD_VALUE", `${bad.length} zero, negative or non-numeric value(s).`, {
+        first: isoDay(bad[0].t),
+        count: bad.length,
+      })
+    );
+  }
+
+  const seen = new Set();
+  let duplicates = 0;
+  let unsorted = 0;
+  const gaps = [];
+  for (let i = 0; i < points.length; i++) {
+    const { t } = points[i];
+    if (seen.has(t)) duplicates += 1;
+    seen.add(t);
+    if (i === 0) continue;
+    const prev = points[i - 1].t;
+    if (t < prev) unsorted += 1;
+    if ((t - prev) / DAY_MS > maxGapDays) gaps.push({ from: isoDay(prev), to: isoDay(t) });
+  }
+  if (duplicates) issues.push(issue("warning", "DUPLICATE", `${duplicates} duplicate timestamp(s).`, { count: duplicates }));
+  if (unsorted) issues.push(issue("warning", "UNSORTED", `${unsorted} point(s) out of order.`, { count: unsorted }));
+  if (gaps.length) {
+    issues.push(
+      issue("warning", "GAP", `${gaps.length} gap(s) longer than ${maxGapDays} days.`, {
+        count: gaps.length,
+        gaps: gaps.slice(-5),
+      })
+    );
+  }
+
+  if (spikePct > 0) {
+    const spikes = [];
+    for (let i = 1; i < points.length - 1; i++) {
+      const [a, b, c] = [points[i - 1].v, points[i].v, points[i + 1].v];
+      if (!(a > 0 && b > 0 && c > 0)) continue;
+      const up = (b / a - 1) * 100;
+      const back = (c / b - 1) * 100;
+      if (Math.abs(up) > spikePct && Math.abs(back) > spikePct && Math.sign(up) !== Math.sign(back)) {
+        spikes.push({ at: isoDay(points[i].t), changePct: up });
+      }
+    }
+    if (spikes.length) {
+      issues.push(
+        issue("warning", "SPIKE", `${spikes.length} outlier spike(s) over ${spikePct}% that revert.`, {
+          count: spikes.length,
+          spikes: spikes.slice(-5),
+        })
+      );
+    }
+  }
+
+  const last = points.length ? Math.max(...points.map((p) => p.t)) : null;
+  const ageDays = last == null ? null : Math.floor((now - last) / DAY_MS);
+  if (ageDays != null && ageDays > staleDays) {
+    issues.push(
+      issue("warning", "STALE", `Last point is ${ageDays} days old (limit ${staleDays}).`, { last: isoDay(last), ageDays })
+    );
+  }
+
+  return { issues, stats: { points: points.length, last: last == null ? null : isoDay(last), ageDays } };
+}
+
+// Daily chart points ({ x: unix seconds, y: price }).
+export function validateDailySeries(values, { now = Date.now(), staleDays = 3, maxGapDays = 5, spikePct = 30 } = {}) {
+  const points = (values || []).map((p) => ({ t: Number(p.x) * 1000, v: Number(p.y) }));
+  const { issues, stats } = checkPoints(points, { maxGapDays, staleDays, spikePct, now });
+  return report(issues, stats);
+}
+
+function inferFrequency(times) {
+  const steps = [];
+  for (let i = 1; i < times.length; i++) steps.push((times[i] - times[i - 1]) / DAY_MS);
+  steps.sort((a, b) => a - b);
+  const median = steps.length ? steps[Math.floor(steps.length / 2)] : 30;
+  if (median <= 3) return "daily";
+  if (median <= 8) return "weekly";
+  return "monthly";
+}
+
+// FRED observations ({ date, value }). Rows that are vintages of the same date
+// (realtime_start differs) are not duplicates; only the newest one is checked.
+export function validateObservations(observations, { now = Date.now(), frequency } = {}) {
+  const issues = [];
+  const seen = new Set();
+  const newest = new Map();
+  let missing = 0;
+  let duplicates = 0;
+  for (const o of observations || []) {
+    const raw = String(o.value ?? "").trim();
+    if (raw === "." || raw === "") {
+      missing += 1;
+      continue;
+    }
+    const key = `${o.date}|${o.realtime_start ?? ""}`;
+    if (seen.has(key)) duplicates += 1;
+    seen.add(key);
+    const prev = newest.get(o.date);
+    if (!prev || String(o.realtime_start || "") >= String(prev.realtime_start || "")) newest.set(o.date, o);
+  }
+  if (missing) issues.push(issue("warning", "MISSING_VALUE", `${missing} observation(s) without a value.`, { count: missing }));
+  if (duplicates) issues.push(issue("warning", "DUPLICATE", `${duplicates} duplicate date(s).`, { count: duplicates }));
+
+  const rows = Array.from(newest.values());
+  const points = rows.map((r) => ({ t: Date.parse(`${r.date}T00:00:00Z`), v: Number(r.value) }));
+  const freq = frequency || inferFrequency(points.map((p) => p.t).sort((a, b) => a - b));
+  const limits = FREQUENCY_LIMITS[freq];
+  const checked = checkPoints(points, { ...limits, spikePct: 0, now });
+  return report([...issues, ...checked.issues], { ...checked.stats, frequency: freq, missing });
+}
+
+// One report for several series (e.g. a composite), issues tagged by series.
+export function mergeReports(reportsById) {
+  const issues = [];
+  const stats = {};
+  for (const [id, r] of Object.entries(reportsById)) {
+    for (const i of r.issues) issues.push({ ...i, series: id });
+    stats[id] = r.stats;
+  }
+  return report(issues, stats);
+}
+
+// Issues that make strict mode refuse a signal.
+export function blockingIssues(healthReport) {
+  return healthReport.issues.filter((i) => i.level === "error" || STRICT_CODES.has(i.code));
+}